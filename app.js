@@ -0,0 +1,1006 @@
+// The Express app: every page, the JSON API and the admin pages.
+// createApp() only builds the app - index.js connects it to the real database and storage and calls listen(),
+// and the tests in test/ build it with an in-memory database and storage instead.
+
+const express = require("express");
+
+//Needed for the session variable - Stored on the server to hold data
+const session = require("express-session");
+const { SessionStore } = require("./lib/sessionStore");
+
+let path = require("path");
+
+const multer = require("multer");
+const { InvalidImageError } = require("./lib/images");
+const { MAX_UPLOAD_BYTES, createProfileImages } = require("./lib/profileImages");
+const { ATTACHMENT_FIELD, InvalidAttachmentError, isImageAttachment, contentDisposition, createHobbyAttachments } = require("./lib/hobbyAttachments");
+const { hashPassword } = require("./lib/passwords");
+const { isAdmin, canManageUser, requireAdmin, requireSelfOrAdmin } = require("./lib/authorization");
+const { csrfProtection } = require("./lib/csrf");
+const { hasErrors, errorSummary, validateUser, validateHobby, idParam } = require("./lib/validation");
+const {
+    UNIQUE_VIOLATION, BadRequestError, ForbiddenError, NotFoundError,
+    asyncHandler, uploadErrorMessage, notFoundHandler, errorHandler
+} = require("./lib/errors");
+const { parseUserListQuery, listUsers, listQueryString } = require("./lib/userList");
+const { listCategories, dateOnly, parseHobbyListQuery, listHobbies } = require("./lib/hobbies");
+const { auditUser, recordAudit, recordProfileImageChange } = require("./lib/auditLog");
+const { logger, requestLogger } = require("./lib/logger");
+const { metricsMiddleware, observeDbPool, observeUploads, recordUploadFailure } = require("./lib/metrics");
+const { createHealthRouter } = require("./routes/health");
+const { createApiRouter } = require("./routes/api");
+const { createAdminRouter } = require("./routes/admin");
+const { PUBLIC_ACCOUNT_PATHS, createAccountRouter } = require("./routes/account");
+const { createNotifier } = require("./lib/notifier");
+const { cancelPasswordResets } = require("./lib/passwordResets");
+const { createLoginThrottle } = require("./lib/loginThrottle");
+const { loadConfig } = require("./lib/config");
+const { checkCredentials, startLoggedInSession } = require("./lib/login");
+
+// Allows you to read the body of incoming HTTP requests and makes that data available on req.body
+let bodyParser = require("body-parser");
+
+// The app's own pictures (e.g. cougar.jpeg), served at /images.
+// Uploaded files are kept somewhere else (images/ with the local driver), so express.static can never serve them
+const IMAGES_DIR = path.join(__dirname, "public", "images");
+
+// Where profile pictures live in storage. They are served by GET /images/*, and hobby attachments
+// (under attachments/) by GET /attachments/:id
+const PROFILE_IMAGE_PREFIX = "uploads/";
+
+// Shown when someone tries to set their own password on the edit page or through PATCH /api/v1/users/:id
+const OWN_PASSWORD_MESSAGE = "Change your own password on the Change Password page, which asks for your current one.";
+
+// Keys with ".." could reach outside that folder on the local driver
+function isProfileImageKey(key) {
+    return key.startsWith(PROFILE_IMAGE_PREFIX) && !key.split("/").includes("..");
+}
+
+// options.knex         - the database (knex)
+// options.storage      - the storage driver for uploads (see lib/storage)
+// options.sessionStore - where sessions are kept (default: the sessions table)
+// options.notifier     - sends password reset links (default: picked with NOTIFIER, see lib/notifier.js)
+// options.loginThrottle - login limits (default: from the LOGIN_* settings, see lib/loginThrottle.js)
+// options.config       - the checked settings from loadConfig() (see lib/config.js)
+// options.env          - environment variables to build the config from when options.config isn't given
+//                        (default: process.env). The tests use it to change a setting or two
+function createApp(options) {
+    const { knex, storage } = options;
+    const config = options.config || loadConfig(options.env || process.env);
+    const notifier = options.notifier || createNotifier(config.notifier);
+    // Counts failed logins per username and IP address and slows down or locks out guessing (see lib/loginThrottle.js)
+    const loginThrottle = options.loginThrottle || createLoginThrottle({ knex, limits: config.loginLimits });
+
+    let app = express();
+
+    // Every request gets an id and a logger (req.log), and one JSON log line when it finishes (see lib/logger.js).
+    // The health checks are polled every few seconds, so they are only logged at debug level
+    app.use(requestLogger(logger, { quietPaths: ["/healthz", "/readyz", "/metrics"] }));
+
+    // Request counts and timings for /metrics (see lib/metrics.js)
+    app.use(metricsMiddleware());
+
+    // Use EJS for the web pages - requires a views folder and all files are .ejs
+    app.set("view engine", "ejs");
+    // Find the views next to this file, wherever the app is started from
+    app.set("views", path.join(__dirname, "views"));
+
+    // Saving, presigning, restoring and deleting profile pictures (shared with the JSON API).
+    // PROFILE_IMAGE_HISTORY is how many pictures each user can go back to, counting the current one
+    const profileImages = createProfileImages(storage, { historyLimit: config.profileImages.historyLimit });
+    const { saveProfileImage, queueProfileImageDeletion, processUploadedKey, recordProfileImageUpload } = profileImages;
+
+    // Photos and PDFs attached to hobbies, kept in the same storage (shared with the JSON API)
+    const hobbyAttachments = createHobbyAttachments(storage);
+
+    // Keep uploads in memory so they can be checked and resized before anything is stored.
+    // Multipart forms are read once, before the CSRF check (see below), and routes pick their file with uploadedFile()
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: MAX_UPLOAD_BYTES, files: 10 }
+    });
+
+    // Bulk imports on /admin/import carry a users file and a zip of profile pictures, so admins get a larger limit there
+    const IMPORT_MAX_BYTES = 50 * 1024 * 1024; // 50MB limit
+    const importUpload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: IMPORT_MAX_BYTES, files: 2 }
+    });
+
+    // Route middleware that sets req.file to the uploaded file from the named form field.
+    // If the upload was refused (too large, too many files), req.uploadError holds a message for the form instead
+    function uploadedFile(fieldName) {
+        return (req, res, next) => {
+            req.file = (req.files || []).find((file) => file.fieldname === fieldName);
+            next();
+        };
+    }
+
+    // Expose the app's own pictures in /images (e.g. cougar.jpeg) as static assets.
+    // Anything not found here falls through to the /images route further down, which needs a login
+    app.use("/images", express.static(IMAGES_DIR));
+
+    // Browser scripts shared by several pages
+    app.use("/js", express.static(path.join(__dirname, "public", "js")));
+
+    // Anyone can sign up on /register unless ALLOW_REGISTRATION=false
+    const { allowRegistration } = config.accounts;
+
+    // Make imageUrl(), thumbnailUrl() and attachmentUrl() available in every view so templates can turn a stored key
+    // (or an attachment) into a URL
+    // directUploads tells the forms whether to send pictures straight to S3, and dateOnly() shows dates as YYYY-MM-DD.
+    // allowRegistration decides whether the login page links to /register
+    app.use((req, res, next) => {
+        res.locals.imageUrl = profileImages.imageUrl;
+        res.locals.thumbnailUrl = profileImages.thumbnailUrl;
+        res.locals.attachmentUrl = hobbyAttachments.attachmentUrl;
+        res.locals.isImageAttachment = isImageAttachment;
+        res.locals.directUploads = profileImages.directUploads;
+        res.locals.dateOnly = dateOnly;
+        res.locals.allowRegistration = allowRegistration;
+        next();
+    });
+
+    observeDbPool(knex);
+
+    // /healthz, /readyz and /metrics come before the session and login middleware,
+    // so the load balancer and Prometheus can reach them without logging in (see routes/health.js)
+    app.use(createHealthRouter({ knex, storage, metricsToken: config.metrics.token }));
+
+    /* Session middleware (Middleware is code that runs between the time the request comes
+    to the server and the time the response is sent back. It allows you to intercept and
+    decide if the request should continue. It also allows you to parse the body request
+    from the html form, handle errors, check authentication, etc.)
+
+    REQUIRED parameters for session:
+    secret - The only truly required parameter
+        Used to sign session cookies
+        Prevents tampering and session hijacking with session data
+
+    OPTIONAL (with defaults):
+    resave - Default: true
+        true = save session on every request
+        false = only save if modified (recommended)
+
+    saveUninitialized - Default: true
+        true = create session for every request
+        false = only create when data is stored (recommended)
+
+    store - Default: MemoryStore
+        MemoryStore loses every session on restart and isn't shared between servers,
+        so we keep sessions in the "sessions" table of our PostgreSQL database instead
+
+    cookie - how the browser stores the session id
+        httpOnly = page scripts can't read the cookie
+        secure = only sent over HTTPS (production, or SESSION_SECURE_COOKIE=true)
+        sameSite = not sent with most requests started by other sites
+    */
+
+    // SESSION_SECRET was checked by loadConfig(): production refuses to start without a strong one,
+    // since a known secret would let anyone forge session cookies
+
+    // Elastic Beanstalk's load balancer handles HTTPS and forwards plain HTTP,
+    // so trust its X-Forwarded-Proto header to know the request was secure (TRUST_PROXY, 1 in production)
+    if (config.server.trustProxy > 0) {
+        app.set("trust proxy", config.server.trustProxy);
+    }
+
+    // Sessions live in PostgreSQL, using the same knex connection as the rest of the app.
+    // The table is created on first use and expired sessions are deleted every 15 minutes.
+    // lib/sessionStore.js keeps the server running (with 500 pages) while the database is unreachable
+    // (tests pass in their own store)
+    const sessionStore = options.sessionStore || new SessionStore({
+        knex,
+        tableName: "sessions",
+        cleanupInterval: 15 * 60 * 1000,
+        onDbCleanupError: (err) => logger.warn("Unable to delete expired sessions", { err })
+    });
+
+    app.use(
+        session(
+            {
+        secret: config.session.secret,
+        resave: false,
+        saveUninitialized: false,
+        store: sessionStore,
+        cookie: {
+            httpOnly: true,
+            secure: config.session.secureCookies, // SESSION_SECURE_COOKIE, on in production
+            sameSite: "lax",
+            maxAge: config.session.maxAgeHours * 60 * 60 * 1000 // SESSION_MAX_AGE_HOURS, 8 by default
+        }
+            }
+        )
+    );
+
+    // Content Security Policy middleware - allows localhost connections for development
+    // This fixes the CSP violation error with Chrome DevTools
+    app.use((req, res, next) => {
+        // Set a permissive CSP for development that allows localhost connections
+        // This allows Chrome DevTools to connect to localhost:3000
+        // Images may only come from this app - plus the bucket when files are stored in S3,
+        // since /images/... redirects there (or links there directly with S3_PUBLIC_URLS)
+        const s3BucketUrl = storage.name === "s3" ? ` ${storage.origin()}` : '';
+        // Direct uploads POST from the browser to the bucket, so the bucket must be allowed in connect-src too
+        const s3UploadUrl = profileImages.directUploads ? ` ${storage.origin()}` : '';
+
+        res.setHeader(
+            'Content-Security-Policy',
+            "default-src 'self' http://localhost:* ws://localhost:* wss://localhost:*; " +
+            `connect-src 'self' http://localhost:* ws://localhost:* wss://localhost:*${s3UploadUrl}; ` +
+            "script-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; " +
+            "style-src 'self' 'unsafe-inline' https://cdn.jsdelivr.net; " +
+            `img-src 'self' data:${s3BucketUrl}; ` +
+            "font-src 'self' https://cdn.jsdelivr.net;"
+        );
+        next();
+    });
+
+    // JSON API for scripts and apps (see routes/api.js). It does its own login, CSRF and
+    // upload handling and answers every /api/v1 request itself, so the page middleware below never sees them
+    app.use("/api/v1", createApiRouter({ knex, upload, profileImages, hobbyAttachments, loginThrottle }));
+
+    // Tells Express how to read form data sent in the body of a request
+    app.use(express.urlencoded({extended: true}));
+
+    // Also read JSON bodies (used by the direct upload endpoints)
+    app.use(express.json());
+
+    // The multipart parser for a request: the import's 50MB limits for admins on /admin/import, and the 5MB
+    // upload for everyone else. The login middleware (which sets req.currentUser) only runs after the CSRF check,
+    // so the role is looked up here - otherwise any member could make us hold 100MB before getting their 403
+    async function multipartParserFor(req) {
+        if (req.path !== "/admin/import") {
+            return upload;
+        }
+        const user = await knex("users")
+            .select("role")
+            .where({ id: req.session.userId })
+            .first();
+        return isAdmin(user) ? importUpload : upload;
+    }
+
+    // CSRF protection - every POST must carry the session's token (see lib/csrf.js).
+    // Only logged-in users may send multipart bodies, so visitors can't make us buffer uploads at all
+    app.use(csrfProtection({
+        parseMultipart: (req, res, next) => {
+            if (!req.session.isLoggedIn) {
+                return next();
+            }
+            multipartParserFor(req)
+                .then((parser) => {
+                    parser.any()(req, res, (err) => {
+                        // A file that is too large is the user's mistake, not ours: remember a friendly message
+                        // so the form can show it, and carry on so the CSRF check still runs
+                        if (err instanceof multer.MulterError) {
+                            recordUploadFailure(err.code);
+                            req.uploadError = uploadErrorMessage(err);
+                            return next();
+                        }
+                        if (!err) {
+                            observeUploads(req.files);
+                        }
+                        next(err);
+                    });
+                })
+                .catch(next);
+        },
+        onFailure: (req, res, next) => {
+            next(new ForbiddenError(
+                "This form has expired or was sent from another site. Go back, reload the page and try again.",
+                { title: "Form Expired" }
+            ));
+        }
+    }));
+
+    // Every :id, :userId, :hobbyId and :imageId in a route must be a positive whole number, or the request gets a 400
+    app.param("id", idParam("User"));
+    app.param("userId", idParam("User"));
+    app.param("hobbyId", idParam("Hobby"));
+    app.param("imageId", idParam("Picture"));
+    app.param("attachmentId", idParam("Attachment"));
+
+    // Global authentication middleware - runs on EVERY request
+    app.use((req, res, next) => {
+        // Skip authentication for login routes, sign-up and password resets
+        if (req.path === '/' || req.path === '/login' || req.path === '/logout' || PUBLIC_ACCOUNT_PATHS.includes(req.path)) {
+            //continue with the request path
+            return next();
+        }
+
+        // Check if user is logged in for all other routes
+        if (req.session.isLoggedIn && req.session.userId) {
+            // Look the user up on every request so role changes and deleted accounts take effect right away
+            knex("users")
+                .select("id", "username", "role")
+                .where({ id: req.session.userId })
+                .first()
+                .then((user) => {
+                    if (!user) {
+                        return res.render("login", { error_message: "Please log in to access this page" });
+                    }
+                    req.currentUser = user;
+                    res.locals.currentUser = user;
+                    next(); // User is logged in, continue
+                })
+                .catch(next);
+        } 
+        else {
+            res.render("login", { error_message: "Please log in to access this page" });
+        }
+    });
+
+    // Lets views hide buttons for actions the logged-in user isn't allowed to take
+    app.use((req, res, next) => {
+        res.locals.canManageUser = (userId) => canManageUser(req.currentUser, userId);
+        res.locals.isAdmin = isAdmin(req.currentUser);
+        next();
+    });
+
+    // Sign-up, changing your password and password resets (see routes/account.js)
+    app.use(createAccountRouter({
+        knex,
+        notifier,
+        allowRegistration,
+        appUrl: config.accounts.appUrl
+    }));
+
+    // Sends a stored file. With S3 the browser is sent to a short-lived presigned URL. The browser may cache the
+    // redirect, but only for part of the time the URL stays valid. Local and memory files are sent by the app.
+    // headers.contentType and headers.contentDisposition override what storage knows about the file (the local
+    // driver doesn't keep content types); S3 sends them too because they are part of the presigned URL
+    async function sendStoredFile(res, key, headers = {}) {
+        if (storage.signedUrl) {
+            const maxAge = Math.floor(storage.presignExpiresIn / 2);
+            res.set("Cache-Control", `private, max-age=${maxAge}`);
+            return res.redirect(302, await storage.signedUrl(key, storage.presignExpiresIn, headers));
+        }
+
+        const object = await storage.get(key);
+        if (!object) {
+            throw new NotFoundError("File not found.");
+        }
+        // Uploaded files are never sniffed as anything else, e.g. HTML in a file sent as a picture
+        res.set("X-Content-Type-Options", "nosniff");
+        res.type(headers.contentType || object.contentType || path.extname(key));
+        if (headers.contentDisposition) {
+            res.set("Content-Disposition", headers.contentDisposition);
+        }
+        res.set("Cache-Control", "private, max-age=3600");
+        res.send(object.body);
+    }
+
+    // Profile pictures, for logged-in users only. Only keys under uploads/ are served, so nobody can read
+    // attachments or other objects in the bucket (or files elsewhere in the upload directory) by guessing their keys
+    app.get("/images/*", asyncHandler(async (req, res) => {
+        const key = req.params[0];
+        if (!isProfileImageKey(key)) {
+            throw new NotFoundError("File not found.");
+        }
+        await sendStoredFile(res, key);
+    }));
+
+    // Hobby attachments can be private documents (certificates and the like), so only the hobby's owner and
+    // admins can open them
+    app.get("/attachments/:attachmentId", asyncHandler(async (req, res) => {
+        const attachment = await hobbyAttachments.findAttachment(knex, req.params.attachmentId);
+        if (!attachment) {
+            throw new NotFoundError("Attachment not found.");
+        }
+        if (!canManageUser(req.currentUser, attachment.user_id)) {
+            throw new ForbiddenError();
+        }
+        await sendStoredFile(res, attachment.key, {
+            contentType: attachment.content_type,
+            contentDisposition: contentDisposition(attachment)
+        });
+    }));
+
+    // Admin pages: bulk import and export of users (see routes/admin.js)
+    app.use("/admin", requireAdmin, createAdminRouter({ knex, storage, profileImages, loginThrottle }));
+
+    // Main page route - notice it checks if they have logged in
+    app.get("/login", (req, res) => {
+        // Check if user is logged in
+        if (req.session.isLoggedIn) {        
+            res.render("index");
+        } 
+        else {
+            res.render("login", { error_message: "" });
+        }
+    });
+
+    app.get("/test", (req, res) => {
+        // Check if user is logged in
+        if (req.session.isLoggedIn) {        
+            res.render("test", {name : "BYU"});
+        } 
+        else {
+            res.render("login", { error_message: "" });
+        }
+    });
+
+    // The user list takes its search, filters, sort and page from the query string (see lib/userList.js)
+    app.get("/users", (req, res, next) => {
+        // Check if user is logged in
+        if (req.session.isLoggedIn) { 
+            const listQuery = parseUserListQuery(req.query);
+
+            listUsers(knex, listQuery)
+                .then(({ users, total }) => {
+                    res.render("displayUsers", {
+                        users: users,
+                        listQuery,
+                        total,
+                        totalPages: Math.max(Math.ceil(total / listQuery.limit), 1),
+                        listUrl: (changes) => `/users${listQueryString(listQuery, changes)}`
+                    });
+                })
+                // Database errors go to the error handler at the bottom of this file
+                .catch(next);
+        } 
+        else {
+            res.render("login", { error_message: "" });
+        }
+    });
+
+    app.get("/", (req, res) => {
+        if (req.session.isLoggedIn) {
+            res.render("index");
+        } else {
+            res.redirect("/login");
+        }
+    });
+
+    // This creates attributes in the session object to keep track of user and if they logged in
+    app.post("/login", async (req, res) => {
+        let sName = req.body.username;
+        let sPassword = req.body.password;
+
+        try {
+            // Too many failures for this username or address: refuse without checking the password
+            const throttle = await loginThrottle.check(sName, req.ip);
+            if (!throttle.allowed) {
+                await loginThrottle.recordBlocked(sName, req.ip);
+                res.set("Retry-After", String(throttle.retryAfterSeconds));
+                return res.status(429).render("login", { error_message: throttle.message });
+            }
+
+            // Takes as long for a username that doesn't exist, and rehashes old passwords (see lib/login.js)
+            const user = await checkCredentials(knex, sName, sPassword);
+
+            if (user) {
+                await loginThrottle.recordSuccess(sName, req.ip);
+                // A new session id (and CSRF token) for the logged-in user (see lib/login.js)
+                await startLoggedInSession(req, user);
+                res.redirect("/");
+            } else {
+                // No matching user found. The message is the same for a wrong username and a wrong password,
+                // so nobody can use this form to find out which usernames exist
+                const { lockedUntil } = await loginThrottle.recordFailure(sName, req.ip);
+                if (lockedUntil) {
+                    req.log.warn("Login locked after too many failures", { username: sName, ip: req.ip, lockedUntil });
+                }
+                res.render("login", { error_message: "Invalid login" });
+            }
+        } catch (err) {
+            req.log.error("Login failed with an error", { err });
+            res.render("login", { error_message: "Invalid login" });
+        }
+    });
+
+    // Logout route
+    app.get("/logout", (req, res) => {
+        // Get rid of the session object
+        req.session.destroy((err) => {
+            if (err) {
+                req.log.warn("Unable to end the session", { err });
+            }
+            res.redirect("/");
+        });
+    });
+
+    // Only admins create accounts
+    app.get("/addUser", requireAdmin, (req, res) => {
+        res.render("addUser");
+    });    
+
+    app.post("/addUser", requireAdmin, uploadedFile("profileImage"), asyncHandler(async (req, res) => {
+        // Destructuring grabs them regardless of field order.
+        //const username = req.body.username;
+        //const password = req.body.password;
+
+        const { uploadedImageKey } = req.body;
+
+        // A refused upload stops multer part way through the form, so the other fields may be missing too
+        if (req.uploadError) {
+            return res.status(400).render("addUser", { error_message: req.uploadError });
+        }
+
+        // Basic validation to ensure required fields are present.
+        const { values, errors } = validateUser(req.body, { passwordRequired: true });
+        if (hasErrors(errors)) {
+            return res.status(400).render("addUser", { error_message: errorSummary(errors) });
+        }
+        const { username, password } = values;
+        // New accounts are members unless the admin picks another role
+        const role = values.role || "member";
+
+        // Save the storage key of the uploaded file (e.g. uploads/photo-123.jpg), not its URL.
+        // The URL is built when a page is rendered, so moving buckets or drivers does not break old rows
+        let profileImage = null;
+        try {
+            if (req.file) {
+                // Check the file really is an image, strip its metadata and save the avatar and thumbnail
+                profileImage = await saveProfileImage(req.file.buffer);
+            } else if (uploadedImageKey && profileImages.directUploads) {
+                // The browser already uploaded the picture straight to S3 - make sure it is really there
+                profileImage = await processUploadedKey(uploadedImageKey);
+                if (!profileImage) {
+                    return res.status(400).render("addUser", { error_message: "The uploaded picture could not be found. Please try again." });
+                }
+            }
+        } catch (err) {
+            if (err instanceof InvalidImageError) {
+                return res.status(400).render("addUser", { error_message: err.message });
+            }
+            throw err;
+        }
+
+        // Shape the data to match the users table schema.
+        // Object literal - other languages use dictionaries
+        // When the object is inserted with Knex, the key of profileImage
+        // becomes the database column profile_image, so the storage key of
+        // the uploaded image ends up in the profile_image column for that user.
+        const newUser = {
+            username,
+            password: await hashPassword(password), // Never store the plain password
+            role,
+            profile_image: profileImage ? profileImage.key : null
+        };
+
+        // Insert the record into PostgreSQL and return the user list on success.
+        // The audit_log row is written in the same transaction (see lib/auditLog.js)
+        try {
+            await knex.transaction(async (trx) => {
+                const [created] = await trx("users")
+                    .insert(newUser)
+                    .returning(["id", "username", "role", "profile_image"]);
+
+                // Pictures get their own audit rows, so the user's row leaves profile_image out
+                await recordAudit(trx, req, { action: "create", targetType: "user", targetId: created.id, after: auditUser(created) });
+                await recordProfileImageChange(trx, req, created.id, null, created.profile_image);
+                if (profileImage) {
+                    await recordProfileImageUpload(trx, created.id, profileImage, req.currentUser.id);
+                }
+            });
+        } catch (err) {
+            // The picture was saved before the transaction, and no user will ever point at it now
+            if (profileImage) {
+                await queueProfileImageDeletion(knex, profileImage.key, `Unsaved new user ${username}`);
+            }
+            if (err.code === UNIQUE_VIOLATION) {
+                return res.status(400).render("addUser", { error_message: `The username ${username} is already taken.` });
+            }
+            throw err;
+        }
+        res.redirect("/users");
+    }));
+
+    // Loads a user by id, or throws a NotFoundError that the error handler turns into a 404 page
+    async function findUserOrThrow(userId) {
+        const user = await knex("users")
+            .where({ id: userId })
+            .first();
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        return user;
+    }
+
+    // The edit page, with the user's earlier pictures so one can be restored
+    async function renderEditUser(res, status, userId, message) {
+        const user = await findUserOrThrow(userId);
+        const images = await profileImages.listProfileImages(knex, user.id);
+        res.status(status).render("editUser", { user, images, historyLimit: profileImages.historyLimit, error_message: message });
+    }
+
+    // Members can only edit themselves; admins can edit anyone
+    app.get("/editUser/:id", requireSelfOrAdmin("id"), asyncHandler(async (req, res) => {
+        await renderEditUser(res, 200, req.params.id, "");
+    }));
+
+    app.post("/editUser/:id", requireSelfOrAdmin("id"), uploadedFile("profileImage"), asyncHandler(async (req, res) => {
+        const userId = req.params.id;
+        const { values, errors } = validateUser(req.body, { passwordRequired: false });
+        const { username, password } = values;
+
+        // Show the form again with what went wrong
+        const showForm = (status, message) => renderEditUser(res, status, userId, message);
+
+        if (req.uploadError) {
+            return showForm(400, req.uploadError);
+        }
+        if (hasErrors(errors)) {
+            return showForm(400, errorSummary(errors));
+        }
+        // Your own password is changed on /change-password, which asks for the current one and checks the new one's strength.
+        // Admins can still set a new password for someone else here
+        if (password && Number(userId) === req.currentUser.id) {
+            return showForm(400, OWN_PASSWORD_MESSAGE);
+        }
+
+        const updatedUser = {
+            username
+        };
+
+        // Only admins may change roles - members can't promote themselves
+        if (isAdmin(req.currentUser) && values.role) {
+            updatedUser.role = values.role;
+        }
+
+        // A blank password field means "keep the current password"
+        if (password) {
+            updatedUser.password = await hashPassword(password);
+        }
+
+        // Save the storage key of the uploaded file
+        // If no new file, profile_image is left alone so the existing image is kept
+        let newImage = null;
+        if (req.file) {
+            try {
+                // Check and resize the new picture first, so a bad upload leaves the old one in place
+                newImage = await saveProfileImage(req.file.buffer);
+                updatedUser.profile_image = newImage.key;
+            } catch (err) {
+                if (err instanceof InvalidImageError) {
+                    return showForm(400, err.message);
+                }
+                throw err;
+            }
+        }
+
+        // Update the row and add the new picture to the user's history together. The old picture stays
+        // in the history so it can be restored, until it is pruned (see lib/profileImages.js)
+        let userFound;
+        try {
+            userFound = await knex.transaction(async (trx) => {
+                // The old key comes from the database, never from the form, so nobody can delete someone else's file
+                const existingUser = await trx("users")
+                    .select("id", "username", "role", "profile_image")
+                    .where({ id: userId })
+                    .forUpdate()
+                    .first();
+
+                if (!existingUser) {
+                    // Nobody will ever point at the picture we just saved
+                    if (updatedUser.profile_image) {
+                        await queueProfileImageDeletion(trx, updatedUser.profile_image, `Upload for missing user ${userId}`);
+                    }
+                    return false;
+                }
+
+                await trx("users")
+                    .where({ id: userId })
+                    .update(updatedUser);
+
+                await recordAudit(trx, req, {
+                    action: "update",
+                    targetType: "user",
+                    targetId: existingUser.id,
+                    before: auditUser(existingUser),
+                    after: auditUser({ ...existingUser, ...updatedUser }, { passwordChanged: Boolean(password) })
+                });
+
+                if (newImage) {
+                    await recordProfileImageChange(trx, req, existingUser.id, existingUser.profile_image, newImage.key);
+                    await recordProfileImageUpload(trx, existingUser.id, newImage, req.currentUser.id);
+                }
+                // Reset links sent before the new password would otherwise still work
+                if (password) {
+                    await cancelPasswordResets(trx, existingUser.id);
+                }
+                return true;
+            });
+        } catch (err) {
+            // Nothing was saved, so nobody will ever point at the new picture
+            if (newImage) {
+                await queueProfileImageDeletion(knex, newImage.key, `Unsaved change to user ${userId}`);
+            }
+            if (err.code === UNIQUE_VIOLATION) {
+                return showForm(400, `The username ${username} is already taken.`);
+            }
+            throw err;
+        }
+
+        if (!userFound) {
+            throw new NotFoundError("User not found.");
+        }
+
+        res.redirect("/users");
+    }));
+
+    // Direct-to-S3 uploads, step 1: the browser asks for a presigned POST policy.
+    // The policy only allows one image of an allowed type, up to 5MB, under uploads/incoming/
+    // These two routes are called with fetch(), so the error handler answers them with JSON
+    app.post("/uploads/presign", asyncHandler(async (req, res) => {
+        if (!profileImages.directUploads) {
+            throw new NotFoundError("Direct uploads are not enabled.");
+        }
+
+        res.json(await profileImages.presignProfileImageUpload(req.body));
+    }));
+
+    // Direct-to-S3 uploads, step 2: after the browser uploads, it sends the key back.
+    // We check the object exists and process it like any other upload before saving it as the user's profile picture
+    app.post("/editUser/:id/image/confirm", requireSelfOrAdmin("id"), asyncHandler(async (req, res) => {
+        if (!profileImages.directUploads) {
+            throw new NotFoundError("Direct uploads are not enabled.");
+        }
+
+        const userId = req.params.id;
+        const { key } = req.body;
+
+        await findUserOrThrow(userId);
+
+        const image = await processUploadedKey(key);
+        if (!image) {
+            throw new BadRequestError("The uploaded picture could not be found.");
+        }
+        const avatarKey = image.key;
+
+        // Save the new key and add it to the user's history in one transaction
+        try {
+            await knex.transaction(async (trx) => {
+                const current = await trx("users")
+                    .select("profile_image")
+                    .where({ id: userId })
+                    .forUpdate()
+                    .first();
+
+                await trx("users")
+                    .where({ id: userId })
+                    .update({ profile_image: avatarKey });
+
+                await recordProfileImageChange(trx, req, Number(userId), current && current.profile_image, avatarKey);
+                await recordProfileImageUpload(trx, Number(userId), image, req.currentUser.id);
+            });
+        } catch (err) {
+            await queueProfileImageDeletion(knex, avatarKey, `Unsaved change to user ${userId}`);
+            throw err;
+        }
+
+        res.json({ key: avatarKey, url: storage.url(avatarKey) });
+    }));
+
+    // Make an earlier picture from the history the user's picture again (the list is on the edit page)
+    app.post("/editUser/:id/images/:imageId/restore", requireSelfOrAdmin("id"), asyncHandler(async (req, res) => {
+        await findUserOrThrow(req.params.id);
+        await profileImages.restoreProfileImage(knex, req, Number(req.params.id), Number(req.params.imageId));
+        res.redirect(`/editUser/${req.params.id}`);
+    }));
+
+    // The hobby list can be sorted and filtered through the query string,
+    // e.g. /displayHobbies/3?sort=date&dir=desc&category=2&from=2020-01-01
+    app.get("/displayHobbies/:userId", (req, res, next) => {
+        const userId = req.params.userId;
+        const listQuery = parseHobbyListQuery(req.query);
+
+        findUserOrThrow(userId)
+            .then((user) => {
+                return Promise.all([listHobbies(knex, userId, listQuery), listCategories(knex)])
+                    .then(([hobbies, categories]) => {
+                        // Attachments are only listed for the hobbies' owner and admins, who are the only ones who can open them
+                        const hobbyIds = canManageUser(req.currentUser, userId) ? hobbies.map((hobby) => hobby.id) : [];
+                        return hobbyAttachments.attachmentsByHobby(knex, hobbyIds)
+                            .then((attachments) => [hobbies, categories, attachments]);
+                    })
+                    .then(([hobbies, categories, attachments]) => {
+                        res.render("displayHobbies", {
+                            user,
+                            hobbies,
+                            attachments,
+                            categories,
+                            listQuery,
+                            error_message: "",
+                            success_message: ""
+                        });
+                    });
+            })
+            .catch(next);
+    });
+
+    app.get("/addHobbies/:userId", requireSelfOrAdmin("userId"), asyncHandler(async (req, res) => {
+        const user = await findUserOrThrow(req.params.userId);
+
+        res.render("addHobbies", {
+            user,
+            categories: await listCategories(knex),
+            values: {},
+            errors: {},
+            error_message: ""
+        });
+    }));
+
+    // The form is multipart so it can carry attachments (any number of files in the "attachments" field)
+    app.post("/addHobbies/:userId", requireSelfOrAdmin("userId"), asyncHandler(async (req, res) => {
+        const user = await findUserOrThrow(req.params.userId);
+
+        const categories = await listCategories(knex);
+        const { values, errors } = validateHobby(req.body, { categoryIds: categories.map((category) => category.id) });
+
+        // Show the form again with a message next to each field that needs fixing
+        const showForm = (message) => res.status(400).render("addHobbies", {
+            user,
+            categories,
+            values: req.body,
+            errors,
+            error_message: message
+        });
+
+        if (req.uploadError) {
+            return showForm(req.uploadError);
+        }
+        if (hasErrors(errors)) {
+            return showForm("");
+        }
+
+        // Check and save the files before the transaction, like profile pictures
+        let saved;
+        try {
+            saved = await hobbyAttachments.saveAttachments((req.files || []).filter((file) => file.fieldname === ATTACHMENT_FIELD));
+        } catch (err) {
+            if (err instanceof InvalidAttachmentError) {
+                return showForm(err.message);
+            }
+            throw err;
+        }
+
+        try {
+            await knex.transaction(async (trx) => {
+                const [hobby] = await trx("hobbies")
+                    .insert({ user_id: user.id, ...values })
+                    .returning("*");
+
+                await recordAudit(trx, req, { action: "create", targetType: "hobby", targetId: hobby.id, after: hobby });
+                await hobbyAttachments.recordAttachments(trx, req, hobby.id, saved);
+            });
+        } catch (err) {
+            // Nothing points at the files, so let the deletion worker remove them
+            await hobbyAttachments.queueSavedAttachmentsDeletion(knex, saved, `Unsaved hobby of user ${user.id}`);
+            throw err;
+        }
+        res.redirect(`/displayHobbies/${user.id}`);
+    }));
+
+    // Loads the user and one of their hobbies, or throws a NotFoundError
+    async function findUserHobbyOrThrow(userId, hobbyId) {
+        const user = await findUserOrThrow(userId);
+        const hobby = await knex("hobbies")
+            .where({ id: hobbyId, user_id: user.id })
+            .first();
+
+        if (!hobby) {
+            throw new NotFoundError("Hobby not found.");
+        }
+        return { user, hobby };
+    }
+
+    app.get("/hobbies/:userId/edit/:hobbyId", requireSelfOrAdmin("userId"), asyncHandler(async (req, res) => {
+        const { user, hobby } = await findUserHobbyOrThrow(req.params.userId, req.params.hobbyId);
+
+        res.render("editHobby", {
+            user,
+            hobby,
+            categories: await listCategories(knex),
+            values: { ...hobby, date_learned: dateOnly(hobby.date_learned) },
+            errors: {},
+            error_message: ""
+        });
+    }));
+
+    app.post("/hobbies/:userId/edit/:hobbyId", requireSelfOrAdmin("userId"), asyncHandler(async (req, res) => {
+        const { user, hobby } = await findUserHobbyOrThrow(req.params.userId, req.params.hobbyId);
+
+        const categories = await listCategories(knex);
+        const { values, errors } = validateHobby(req.body, { categoryIds: categories.map((category) => category.id) });
+
+        if (hasErrors(errors)) {
+            return res.status(400).render("editHobby", {
+                user,
+                hobby,
+                categories,
+                values: req.body,
+                errors,
+                error_message: ""
+            });
+        }
+
+        await knex.transaction(async (trx) => {
+            const [updated] = await trx("hobbies")
+                .where({ id: hobby.id, user_id: user.id })
+                .update(values)
+                .returning("*");
+
+            await recordAudit(trx, req, { action: "update", targetType: "hobby", targetId: hobby.id, before: hobby, after: updated });
+        });
+
+        res.redirect(`/displayHobbies/${user.id}`);
+    }));
+
+    app.post("/hobbies/:userId/delete/:hobbyId", requireSelfOrAdmin("userId"), (req, res, next) => {
+        const { userId, hobbyId } = req.params;
+
+        // The attachments' rows are deleted with the hobby, so their files are queued first.
+        // If the hobby isn't this user's, the NotFoundError rolls that back too
+        knex.transaction(async (trx) => {
+            await hobbyAttachments.queueAttachmentsDeletion(trx, req, [hobbyId], `Deleted hobby ${hobbyId}`);
+
+            const [hobby] = await trx("hobbies")
+                .where({ id: hobbyId, user_id: userId })
+                .del()
+                .returning("*");
+
+            if (!hobby) {
+                throw new NotFoundError("Hobby not found.");
+            }
+            await recordAudit(trx, req, { action: "delete", targetType: "hobby", targetId: hobby.id, before: hobby });
+        })
+            .then(() => res.redirect(`/displayHobbies/${userId}`))
+            .catch(next);
+    });
+
+    app.post("/deleteUser/:id", requireSelfOrAdmin("id"), asyncHandler(async (req, res) => {
+        // Delete the user, their hobbies and queue their profile pictures for deletion in one transaction:
+        // either all of it happens or none of it does. The files themselves are deleted by the
+        // storage deletion worker, which retries if S3 or the disk fails
+        const user = await knex.transaction(async (trx) => {
+            const found = await trx("users")
+                .select("id", "username", "role", "profile_image")
+                .where("id", req.params.id)
+                .forUpdate()
+                .first();
+
+            if (!found) {
+                return null;
+            }
+
+            // The picture history and the hobbies' attachments are deleted with the user, so collect their files first
+            await profileImages.queueUserProfileImagesDeletion(trx, found, `Deleted user ${found.id}`);
+            const hobbyIds = await trx("hobbies").where("user_id", found.id).pluck("id");
+            await hobbyAttachments.queueAttachmentsDeletion(trx, req, hobbyIds, `Deleted user ${found.id}`);
+
+            const hobbies = await trx("hobbies").where("user_id", found.id).del().returning("*");
+            await trx("users").where("id", found.id).del();
+
+            // Every hobby and the picture get an audit row of their own, next to the user's
+            for (const hobby of hobbies) {
+                await recordAudit(trx, req, { action: "delete", targetType: "hobby", targetId: hobby.id, before: hobby });
+            }
+            await recordAudit(trx, req, { action: "delete", targetType: "user", targetId: found.id, before: auditUser(found) });
+            await recordProfileImageChange(trx, req, found.id, found.profile_image, null);
+            return found;
+        });
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+
+        // Members who delete their own account are logged out
+        if (String(user.id) === String(req.currentUser.id)) {
+            return req.session.destroy(() => res.redirect("/login"));
+        }
+
+        res.redirect("/users");
+    }));
+
+    // Anything that didn't match a route above is a 404, and every error ends up here.
+    // See lib/errors.js - pages get views/error.ejs, fetch() and API requests get JSON
+    app.use(notFoundHandler);
+    app.use(errorHandler);
+
+    return app;
+}
+
+module.exports = { IMAGES_DIR, createApp };
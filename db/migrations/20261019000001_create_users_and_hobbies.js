@@ -0,0 +1,28 @@
+// The original schema from project.sql
+// Databases that were set up by running project.sql already have these tables, so each one
+// is only created when it is missing - that lets old databases adopt migrations without losing data
+
+exports.up = async function (knex) {
+    if (!(await knex.schema.hasTable("users"))) {
+        await knex.schema.createTable("users", (table) => {
+            table.increments("id");
+            table.string("username", 255).notNullable().unique();
+            table.string("password", 255).notNullable();
+            table.string("profile_image", 500);
+        });
+    }
+
+    if (!(await knex.schema.hasTable("hobbies"))) {
+        await knex.schema.createTable("hobbies", (table) => {
+            table.increments("id");
+            table.integer("user_id").notNullable();
+            table.string("hobby_description", 50).notNullable();
+            table.date("date_learned").notNullable();
+        });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("hobbies");
+    await knex.schema.dropTableIfExists("users");
+};
@@ -0,0 +1,27 @@
+// Tie every hobby to a real user
+// The foreign key stops hobbies from pointing at users that don't exist, and ON DELETE CASCADE
+// removes a user's hobbies when the user is deleted. The index speeds up "hobbies for this user",
+// which every hobby page runs
+
+exports.up = async function (knex) {
+    // Hobbies left behind by users deleted before the foreign key existed can't be shown anywhere,
+    // and they would make adding the foreign key fail
+    const orphans = await knex("hobbies")
+        .whereNotIn("user_id", knex("users").select("id"))
+        .del();
+    if (orphans > 0) {
+        console.log(`Deleted ${orphans} hobbies that belonged to users who no longer exist`);
+    }
+
+    await knex.schema.alterTable("hobbies", (table) => {
+        table.foreign("user_id").references("users.id").onDelete("CASCADE");
+        table.index("user_id");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.alterTable("hobbies", (table) => {
+        table.dropForeign("user_id");
+        table.dropIndex("user_id");
+    });
+};
@@ -0,0 +1,22 @@
+// users.profile_image holds a storage key such as "uploads/<id>/avatar.jpg".
+// Rows saved by older versions of the app hold a full S3 URL or an /images/uploads/... path;
+// this converts them to keys (it replaces the old "npm run migrate:image-keys" script)
+
+const { keyFromStoredValue } = require("../../lib/imageKeys");
+
+exports.up = async function (knex) {
+    const users = await knex("users")
+        .select("id", "profile_image")
+        .whereNotNull("profile_image");
+
+    for (const user of users) {
+        const key = keyFromStoredValue(user.profile_image);
+        if (key !== user.profile_image) {
+            await knex("users").where({ id: user.id }).update({ profile_image: key });
+        }
+    }
+};
+
+// The old URLs can't be rebuilt from the keys (they depended on the bucket and driver in use),
+// and the app only understands keys, so there is nothing to undo
+exports.down = async function () {};
@@ -0,0 +1,18 @@
+// Admins can manage everyone; members can only manage their own account and hobbies.
+// Existing users become members - create an admin with: npm run create-user -- <username> --admin
+
+exports.up = async function (knex) {
+    if (!(await knex.schema.hasColumn("users", "role"))) {
+        await knex.schema.alterTable("users", (table) => {
+            table.string("role", 20).notNullable().defaultTo("member");
+            table.check("role in ('admin', 'member')", [], "users_role_check");
+        });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.alterTable("users", (table) => {
+        table.dropChecks("users_role_check");
+        table.dropColumn("role");
+    });
+};
@@ -0,0 +1,16 @@
+// Login sessions, read and written by connect-session-knex
+// (the session store also creates this table when it is missing, so it may already exist)
+
+exports.up = async function (knex) {
+    if (!(await knex.schema.hasTable("sessions"))) {
+        await knex.schema.createTable("sessions", (table) => {
+            table.string("sid", 255).primary();
+            table.json("sess").notNullable();
+            table.timestamp("expired", { useTz: true }).notNullable().index("sessions_expired_index");
+        });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("sessions");
+};
@@ -0,0 +1,19 @@
+// Tokens for the JSON API - only a SHA-256 hash of each token is stored (see lib/apiTokens.js)
+
+exports.up = async function (knex) {
+    if (!(await knex.schema.hasTable("api_tokens"))) {
+        await knex.schema.createTable("api_tokens", (table) => {
+            table.increments("id");
+            table.integer("user_id").notNullable().references("users.id").onDelete("CASCADE");
+            table.specificType("token_hash", "CHAR(64)").notNullable().unique();
+            table.string("name", 100);
+            table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+            table.timestamp("expires_at", { useTz: true }).notNullable();
+            table.timestamp("last_used_at", { useTz: true });
+        });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("api_tokens");
+};
@@ -0,0 +1,33 @@
+// Outbox for files that must be removed from storage (S3 or disk)
+// Deleting a user or replacing a picture adds rows here in the same transaction as the database change,
+// and a background worker deletes the files, retrying failures (see lib/storageDeletions.js).
+// storage_deletion_attempts keeps a row for every try, so failed deletes can be traced
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("storage_deletions", (table) => {
+        table.increments("id");
+        table.string("key", 1024).notNullable();
+        table.string("reason", 255);
+        table.enu("status", ["pending", "done", "failed"]).notNullable().defaultTo("pending");
+        table.integer("attempts").notNullable().defaultTo(0);
+        table.text("last_error");
+        table.timestamp("next_attempt_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp("completed_at", { useTz: true });
+        table.index(["status", "next_attempt_at"]);
+    });
+
+    await knex.schema.createTable("storage_deletion_attempts", (table) => {
+        table.increments("id");
+        table.integer("deletion_id").notNullable().references("storage_deletions.id").onDelete("CASCADE");
+        table.timestamp("attempted_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.boolean("succeeded").notNullable();
+        table.text("error");
+        table.index("deletion_id");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("storage_deletion_attempts");
+    await knex.schema.dropTableIfExists("storage_deletions");
+};
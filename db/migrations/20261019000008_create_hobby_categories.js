@@ -0,0 +1,27 @@
+// Hobby categories, shared by every user (e.g. "Music", "Sports")
+// hobbies.category_id is optional; deleting a category leaves its hobbies uncategorized
+
+const DEFAULT_CATEGORIES = ["Arts & Crafts", "Cooking", "Games", "Music", "Outdoors", "Sports", "Technology", "Other"];
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("hobby_categories", (table) => {
+        table.increments("id");
+        table.string("name", 50).notNullable().unique();
+    });
+
+    await knex("hobby_categories").insert(DEFAULT_CATEGORIES.map((name) => ({ name })));
+
+    await knex.schema.alterTable("hobbies", (table) => {
+        table.integer("category_id").references("hobby_categories.id").onDelete("SET NULL");
+        table.index("category_id");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.alterTable("hobbies", (table) => {
+        table.dropIndex("category_id");
+        table.dropForeign("category_id");
+        table.dropColumn("category_id");
+    });
+    await knex.schema.dropTableIfExists("hobby_categories");
+};
@@ -0,0 +1,25 @@
+// Who created, changed or deleted which user, hobby or profile picture (see lib/auditLog.js).
+// There are no foreign keys: the history has to outlive the users and hobbies it describes,
+// so the actor's username is copied into each row as well (up to 255 characters, like users.username)
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("audit_log", (table) => {
+        table.increments("id");
+        table.integer("actor_id");
+        table.string("actor_username", 255);
+        table.string("action", 20).notNullable();
+        table.string("target_type", 20).notNullable();
+        table.integer("target_id");
+        table.jsonb("before");
+        table.jsonb("after");
+        table.string("request_id", 100);
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.index("actor_id");
+        table.index(["target_type", "target_id"]);
+        table.index("created_at");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("audit_log");
+};
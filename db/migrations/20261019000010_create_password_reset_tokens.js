@@ -0,0 +1,18 @@
+// Single-use password reset links (see lib/passwordResets.js).
+// Like api_tokens, only a SHA-256 hash of each token is stored; used_at is set when the link is used
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("password_reset_tokens", (table) => {
+        table.increments("id");
+        table.integer("user_id").notNullable().references("users.id").onDelete("CASCADE");
+        table.specificType("token_hash", "CHAR(64)").notNullable().unique();
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp("expires_at", { useTz: true }).notNullable();
+        table.timestamp("used_at", { useTz: true });
+        table.index("user_id");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("password_reset_tokens");
+};
@@ -0,0 +1,34 @@
+// Login brute-force protection (see lib/loginThrottle.js)
+//   login_attempts  - every attempt to log in (web page or API token), kept for the admin page
+//   login_throttles - failures so far for each username ("account") and IP address ("ip"),
+//                     and until when further attempts are refused. Unlocking deletes the row
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("login_attempts", (table) => {
+        table.increments("id");
+        table.string("username", 255).notNullable();
+        table.string("ip", 64);
+        // success, failure, or blocked (refused without checking the password)
+        table.string("outcome", 20).notNullable();
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.index(["username", "created_at"]);
+        table.index(["ip", "created_at"]);
+        table.index("created_at");
+    });
+
+    await knex.schema.createTable("login_throttles", (table) => {
+        table.increments("id");
+        table.string("scope", 20).notNullable();
+        table.string("key", 255).notNullable();
+        table.integer("failures").notNullable().defaultTo(0);
+        table.timestamp("window_started_at", { useTz: true }).notNullable();
+        table.timestamp("last_failure_at", { useTz: true }).notNullable();
+        table.timestamp("locked_until", { useTz: true });
+        table.unique(["scope", "key"]);
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("login_throttles");
+    await knex.schema.dropTableIfExists("login_attempts");
+};
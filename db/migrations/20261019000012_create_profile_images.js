@@ -0,0 +1,36 @@
+// Every profile picture a user has uploaded, so an older one can be restored (see lib/profileImages.js).
+// users.profile_image still points at the current picture; this table also keeps the previous ones
+// until they are pruned. last_used_at is when the picture was uploaded or last restored.
+// version_id and thumbnail_version_id are the S3 object versions, when the bucket has versioning turned on
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("profile_images", (table) => {
+        table.increments("id");
+        table.integer("user_id").notNullable().references("users.id").onDelete("CASCADE");
+        table.string("key", 500).notNullable();
+        table.integer("size");
+        table.string("content_type", 100);
+        table.string("version_id", 1024);
+        table.string("thumbnail_version_id", 1024);
+        table.integer("uploaded_by").references("users.id").onDelete("SET NULL");
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.timestamp("last_used_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        // Not unique on key alone: rows saved before each upload got its own folder can give several users
+        // the same key (e.g. uploads/photo.jpg), and each of them gets that picture in their history
+        table.unique(["user_id", "key"]);
+        table.index(["user_id", "last_used_at"]);
+    });
+
+    // Current pictures become the first entry of each history. Who uploaded them and how big they are isn't known
+    const users = await knex("users")
+        .select("id", "profile_image")
+        .whereNotNull("profile_image");
+
+    for (const user of users) {
+        await knex("profile_images").insert({ user_id: user.id, key: user.profile_image });
+    }
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("profile_images");
+};
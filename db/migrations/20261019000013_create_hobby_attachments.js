@@ -0,0 +1,21 @@
+// Photos and PDFs attached to hobbies (see lib/hobbyAttachments.js).
+// key is the storage key of the file; the rows are deleted with their hobby, and the files are
+// queued in storage_deletions by the routes that delete hobbies and users
+
+exports.up = async function (knex) {
+    await knex.schema.createTable("hobby_attachments", (table) => {
+        table.increments("id");
+        table.integer("hobby_id").notNullable().references("hobbies.id").onDelete("CASCADE");
+        table.string("key", 500).notNullable().unique();
+        table.string("original_name", 255).notNullable();
+        table.string("content_type", 100).notNullable();
+        table.integer("size").notNullable();
+        table.integer("uploaded_by").references("users.id").onDelete("SET NULL");
+        table.timestamp("created_at", { useTz: true }).notNullable().defaultTo(knex.fn.now());
+        table.index("hobby_id");
+    });
+};
+
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists("hobby_attachments");
+};
@@ -0,0 +1,45 @@
+// Sample data for development: an admin, a member and a few hobbies
+// Run with: npm run seed
+// Users that already exist are left alone, so running it twice is safe.
+// The admin's password comes from SEED_ADMIN_PASSWORD; if it is not set, a random one is generated
+// and printed. Members get the same password so you can log in as either one
+
+const crypto = require("crypto");
+const { hashPassword } = require("../../lib/passwords");
+
+exports.seed = async function (knex) {
+    if (process.env.NODE_ENV === "production") {
+        console.log("Skipping demo data in production - create real users with npm run create-user");
+        return;
+    }
+
+    const password = process.env.SEED_ADMIN_PASSWORD || crypto.randomBytes(12).toString("base64url");
+    const passwordHash = await hashPassword(password);
+
+    const inserted = await knex("users")
+        .insert([
+            { username: "admin", password: passwordHash, role: "admin" },
+            { username: "member", password: passwordHash, role: "member" }
+        ])
+        .onConflict("username")
+        .ignore()
+        .returning(["id", "username"]);
+
+    if (inserted.length === 0) {
+        console.log("Demo users already exist - nothing to do");
+        return;
+    }
+
+    const member = inserted.find((user) => user.username === "member");
+    if (member) {
+        await knex("hobbies").insert([
+            { user_id: member.id, hobby_description: "Rock climbing", date_learned: "2021-06-14" },
+            { user_id: member.id, hobby_description: "Sourdough baking", date_learned: "2020-03-30" }
+        ]);
+    }
+
+    console.log(`Created ${inserted.map((user) => user.username).join(" and ")}`);
+    if (!process.env.SEED_ADMIN_PASSWORD) {
+        console.log(`Password: ${password}`);
+    }
+};
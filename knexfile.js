@@ -0,0 +1,9 @@
+// Configuration for the knex command line (npm run migrate, npm run seed, ...)
+// It uses the same RDS_* settings as the app, so migrations run against the app's database.
+// They are checked like the app's: in production every one must be set (see lib/config.js)
+
+require("dotenv").config();
+
+const { knexConfig } = require("./lib/db");
+
+module.exports = knexConfig();
@@ -0,0 +1,52 @@
+// API tokens for scripts and apps that can't keep a session cookie
+// The plain token is only shown once, when it is created; the database keeps a SHA-256 hash of it,
+// so a leaked database backup doesn't hand out working tokens
+
+const crypto = require("crypto");
+
+const TOKEN_LIFETIME_DAYS = 30;
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// Returns { token, expiresAt } - the token must be sent as "Authorization: Bearer <token>"
+async function createApiToken(knex, userId, name) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + TOKEN_LIFETIME_DAYS * 24 * 60 * 60 * 1000);
+
+    await knex("api_tokens").insert({
+        user_id: userId,
+        token_hash: hashToken(token),
+        name: name || null,
+        expires_at: expiresAt
+    });
+
+    return { token, expiresAt };
+}
+
+// The user a token belongs to, or undefined if the token is unknown or expired
+async function findUserByApiToken(knex, token) {
+    const tokenHash = hashToken(token);
+    const user = await knex("api_tokens")
+        .join("users", "users.id", "api_tokens.user_id")
+        .select("users.id", "users.username", "users.role")
+        .where("api_tokens.token_hash", tokenHash)
+        .andWhere("api_tokens.expires_at", ">", knex.fn.now())
+        .first();
+
+    if (user) {
+        await knex("api_tokens")
+            .where({ token_hash: tokenHash })
+            .update({ last_used_at: knex.fn.now() });
+    }
+    return user;
+}
+
+async function revokeApiToken(knex, token) {
+    return knex("api_tokens")
+        .where({ token_hash: hashToken(token) })
+        .del();
+}
+
+module.exports = { createApiToken, findUserByApiToken, revokeApiToken };
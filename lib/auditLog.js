@@ -0,0 +1,182 @@
+// The audit trail: one audit_log row for every user, hobby or profile picture that is created, changed or deleted,
+// with who did it, the values before and after, and the id of the request (to find its lines in the logs).
+// Rows are written with the same transaction (or knex) as the change itself, so the history can't miss
+// a change or record one that was rolled back. Admins read it on /admin/audit.
+
+const { parsePagination, isPositiveId } = require("./validation");
+const { dateOnly } = require("./hobbies");
+
+const ACTIONS = ["create", "update", "delete"];
+const TARGET_TYPES = ["user", "hobby", "attachment", "profile_image"];
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// A row as it is stored in before/after. Password hashes are never copied into the history;
+// dates of hobbies are stored as YYYY-MM-DD so they read the same in every time zone
+function snapshot(row) {
+    if (!row) {
+        return null;
+    }
+    const result = {};
+    for (const [field, value] of Object.entries(row)) {
+        if (field === "password") {
+            continue;
+        }
+        if (value instanceof Date) {
+            result[field] = field === "date_learned" ? dateOnly(value) : value.toISOString();
+        } else {
+            result[field] = value === undefined ? null : value;
+        }
+    }
+    return result;
+}
+
+// The fields of a user kept in the history. Pictures have rows of their own (see recordProfileImageChange),
+// and a new password is only noted as passwordChanged: true
+function auditUser(user, { passwordChanged = false } = {}) {
+    const result = { id: user.id, username: user.username, role: user.role };
+    if (passwordChanged) {
+        result.passwordChanged = true;
+    }
+    return result;
+}
+
+// db     - knex or the transaction the change was made in
+// req    - the request, for the logged-in user and request id (null for scripts)
+// entry  - { action, targetType, targetId, before, after, actor }
+//          actor is who made the change when nobody is logged in yet (signing up, password resets)
+async function recordAudit(db, req, { action, targetType, targetId, before = null, after = null, actor = req && req.currentUser }) {
+
+    await db("audit_log").insert({
+        actor_id: actor ? actor.id : null,
+        actor_username: actor ? actor.username : null,
+        action,
+        target_type: targetType,
+        target_id: targetId || null,
+        // Objects are sent to PostgreSQL as JSON, and come back as objects
+        before: snapshot(before),
+        after: snapshot(after),
+        request_id: req && req.id ? req.id : null
+    });
+}
+
+// Profile pictures get their own rows (target_id is the user's id), so their history can be
+// filtered on its own. Works out the action from the keys; does nothing when the key didn't change
+async function recordProfileImageChange(db, req, userId, beforeKey, afterKey) {
+    if ((beforeKey || null) === (afterKey || null)) {
+        return;
+    }
+    const action = !beforeKey ? "create" : !afterKey ? "delete" : "update";
+
+    await recordAudit(db, req, {
+        action,
+        targetType: "profile_image",
+        targetId: userId,
+        before: beforeKey ? { key: beforeKey } : null,
+        after: afterKey ? { key: afterKey } : null
+    });
+}
+
+// Filters from the query string, e.g. /admin/audit?actor=greg&targetType=hobby&targetId=12
+// actor is a username or a user id
+function parseAuditQuery(query) {
+    const { page, limit, offset } = parsePagination(query, { limit: DEFAULT_PAGE_SIZE });
+
+    return {
+        actor: typeof query.actor === "string" ? query.actor.trim().slice(0, 255) : "",
+        action: ACTIONS.includes(query.action) ? query.action : "",
+        targetType: TARGET_TYPES.includes(query.targetType) ? query.targetType : "",
+        targetId: isPositiveId(query.targetId) ? Number(query.targetId) : null,
+        page,
+        limit,
+        offset
+    };
+}
+
+// The fields that differ between before and after, as [{ field, before, after }]
+function auditChanges(entry) {
+    const before = entry.before || {};
+    const after = entry.after || {};
+    const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return fields
+        .filter((field) => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map((field) => ({ field, before: before[field], after: after[field] }));
+}
+
+// node-postgres turns jsonb into objects, but not every driver does
+function parseJson(value) {
+    return typeof value === "string" ? JSON.parse(value) : value;
+}
+
+// Returns { entries, total }, newest first. Each entry also has its changes (see auditChanges)
+async function listAuditLog(knex, options) {
+    const query = knex("audit_log");
+
+    if (options.actor) {
+        query.where((where) => {
+            where.where("actor_username", options.actor);
+            if (isPositiveId(options.actor)) {
+                where.orWhere("actor_id", Number(options.actor));
+            }
+        });
+    }
+    if (options.action) {
+        query.where("action", options.action);
+    }
+    if (options.targetType) {
+        query.where("target_type", options.targetType);
+    }
+    if (options.targetId) {
+        query.where("target_id", options.targetId);
+    }
+
+    const [{ count }] = await query.clone().count("id as count");
+    const entries = await query
+        .select("*")
+        .orderBy("id", "desc")
+        .limit(options.limit)
+        .offset(options.offset);
+
+    return {
+        entries: entries.map((row) => {
+            const entry = { ...row, before: parseJson(row.before), after: parseJson(row.after) };
+            return { ...entry, changes: auditChanges(entry) };
+        }),
+        total: Number(count)
+    };
+}
+
+// The query string for the audit page with some filters changed, e.g. auditQueryString(options, { page: 2 })
+function auditQueryString(options, changes = {}) {
+    const merged = { ...options, ...changes };
+    const params = new URLSearchParams();
+
+    const values = {
+        actor: merged.actor,
+        action: merged.action,
+        targetType: merged.targetType,
+        targetId: merged.targetId,
+        page: merged.page > 1 ? merged.page : null
+    };
+    for (const [name, value] of Object.entries(values)) {
+        if (value !== null && value !== undefined && value !== "") {
+            params.set(name, value);
+        }
+    }
+
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : "";
+}
+
+module.exports = {
+    ACTIONS,
+    TARGET_TYPES,
+    auditUser,
+    recordAudit,
+    recordProfileImageChange,
+    parseAuditQuery,
+    auditChanges,
+    listAuditLog,
+    auditQueryString
+};
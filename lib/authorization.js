@@ -0,0 +1,43 @@
+// Role-based authorization
+// Every user is either an "admin" (can manage everyone) or a "member" (can only manage their own
+// profile and hobbies). The global login middleware puts the logged-in user on req.currentUser;
+// these middleware functions then decide whether the request may continue.
+
+const { ForbiddenError } = require("./errors");
+
+const ROLES = ["admin", "member"];
+
+function isAdmin(user) {
+    return Boolean(user) && user.role === "admin";
+}
+
+// Admins can manage anyone, members only themselves
+function canManageUser(user, userId) {
+    return isAdmin(user) || (Boolean(user) && String(user.id) === String(userId));
+}
+
+// Only admins may continue; everyone else gets the 403 page (or JSON) from the error handler
+function requireAdmin(req, res, next) {
+    if (isAdmin(req.currentUser)) {
+        return next();
+    }
+    next(new ForbiddenError());
+}
+
+// Only the user named in req.params[param], or an admin, may continue
+function requireSelfOrAdmin(param) {
+    return (req, res, next) => {
+        if (canManageUser(req.currentUser, req.params[param])) {
+            return next();
+        }
+        next(new ForbiddenError());
+    };
+}
+
+module.exports = {
+    ROLES,
+    isAdmin,
+    canManageUser,
+    requireAdmin,
+    requireSelfOrAdmin
+};
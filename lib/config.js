@@ -0,0 +1,392 @@
+// All of the app's settings, read from environment variables (or .env) in one place and checked before anything starts.
+// loadConfig() turns the strings in process.env into numbers and booleans, fills in defaults and collects
+// every problem it finds, so a bad deploy stops at startup with a list of what to fix instead of failing
+// at the first upload or the first login. See CONFIGURATION.md for every setting.
+//
+// NODE_ENV (development, test or production) only picks the defaults. The database, session and storage
+// settings can each be changed on their own, e.g. a production-like setup on a laptop with
+// STORAGE_DRIVER=s3 and SESSION_SECURE_COOKIE=false.
+// In production the unsafe development defaults are refused:
+//   - the RDS_* settings must all be set, and the password can't be a well-known one such as "admin"
+//   - SESSION_SECRET must be set, at least 32 characters long and not an example value
+//   - the memory storage driver (files vanish on restart) isn't allowed
+
+const crypto = require("crypto");
+const path = require("path");
+const { LEVELS } = require("./logger");
+
+const ENVIRONMENTS = ["development", "test", "production"];
+
+// Choices and defaults shared with the modules that use them (lib/storage, lib/notifier.js, lib/loginThrottle.js and
+// lib/profileImages.js). They live here so that reading only the database settings (knexfile.js, lib/db.js)
+// doesn't load sharp, the AWS SDK or the metrics
+const STORAGE_DRIVERS = ["local", "s3", "memory"];
+const NOTIFIERS = ["console", "file", "memory"];
+
+// The LOGIN_* limits (see lib/loginThrottle.js)
+const DEFAULT_LOGIN_LIMITS = Object.freeze({
+    maxFailures: 10,
+    ipMaxFailures: 50,
+    windowMinutes: 15,
+    lockoutMinutes: 15,
+    freeFailures: 3,
+    backoffSeconds: 1,
+    historyDays: 90
+});
+
+// How many pictures each user's history keeps, counting the current one (PROFILE_IMAGE_HISTORY)
+const DEFAULT_HISTORY_LIMIT = 5;
+
+// The local storage driver's default directory. app.js never serves it as static files - uploads go through
+// the routes that check the login (GET /images/* and GET /attachments/:id)
+const DEFAULT_UPLOAD_ROOT = path.join(__dirname, "..", "images");
+
+// Anyone who has read the README or env.example knows these, so they are no better than no secret at all
+const EXAMPLE_SECRETS = ["fallback-secret-key", "my-super-secret-key-12345", "secret", "changeme"];
+const MIN_SECRET_LENGTH = 32;
+const WEAK_DB_PASSWORDS = ["admin", "postgres", "password", "root"];
+const EXAMPLE_AWS_KEYS = ["your-access-key-id", "your-secret-access-key"];
+
+// S3 refuses presigned URLs that last longer than 7 days
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+// Thrown by loadConfig() with every problem it found (error.problems), not just the first
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n  - ${problems.join("\n  - ")}`);
+        this.name = "ConfigError";
+        this.problems = problems;
+    }
+}
+
+// Reads typed values from env. Anything that can't be read is added to problems and the fallback is used,
+// so one call to loadConfig() can report every mistake
+function createReader(env, problems) {
+    // Unset and blank values both count as missing
+    function raw(name) {
+        const value = env[name];
+        return value === undefined || String(value).trim() === "" ? undefined : String(value).trim();
+    }
+
+    function string(name, fallback) {
+        const value = raw(name);
+        return value === undefined ? fallback : value;
+    }
+
+    function choice(name, choices, fallback) {
+        const value = raw(name);
+        if (value === undefined) {
+            return fallback;
+        }
+        if (!choices.includes(value)) {
+            problems.push(`${name} must be one of ${choices.join(", ")} (got "${value}")`);
+            return fallback;
+        }
+        return value;
+    }
+
+    // Whole numbers only: "10" is fine, "10 minutes" and "1.5" are problems
+    function integer(name, fallback, { min = 0, max = Number.MAX_SAFE_INTEGER } = {}) {
+        const value = raw(name);
+        if (value === undefined) {
+            return fallback;
+        }
+        const number = Number(value);
+        if (!/^-?\d+$/.test(value) || number < min || number > max) {
+            const range = max === Number.MAX_SAFE_INTEGER ? `${min} or more` : `between ${min} and ${max}`;
+            problems.push(`${name} must be a whole number ${range} (got "${value}")`);
+            return fallback;
+        }
+        return number;
+    }
+
+    // true/false, yes/no or 1/0. Anything else is a problem rather than quietly meaning false
+    function boolean(name, fallback) {
+        const value = raw(name);
+        if (value === undefined) {
+            return fallback;
+        }
+        const lower = value.toLowerCase();
+        if (["true", "yes", "1"].includes(lower)) {
+            return true;
+        }
+        if (["false", "no", "0"].includes(lower)) {
+            return false;
+        }
+        problems.push(`${name} must be true or false (got "${value}")`);
+        return fallback;
+    }
+
+    // An http(s) address such as https://hobbies.example.com
+    function url(name) {
+        const value = raw(name);
+        if (value === undefined) {
+            return undefined;
+        }
+        try {
+            const parsed = new URL(value);
+            if (parsed.protocol === "http:" || parsed.protocol === "https:") {
+                return value;
+            }
+        } catch (err) {
+            // Reported below
+        }
+        problems.push(`${name} must be an http:// or https:// address (got "${value}")`);
+        return undefined;
+    }
+
+    return { raw, string, choice, integer, boolean, url };
+}
+
+// Each section reads its own variables. context is { read, isProduction, problems, warnings }
+
+// PORT, MIGRATE_ON_START and TRUST_PROXY (how many proxies, such as the Elastic Beanstalk load balancer,
+// sit in front of the app - their X-Forwarded-* headers are trusted, so HTTPS is recognised)
+function serverSection({ read, isProduction }) {
+    return {
+        port: read.integer("PORT", 3001, { min: 1, max: 65535 }),
+        migrateOnStart: read.boolean("MIGRATE_ON_START", false),
+        trustProxy: read.integer("TRUST_PROXY", isProduction ? 1 : 0, { max: 10 })
+    };
+}
+
+// RDS_HOSTNAME, RDS_PORT, RDS_USERNAME, RDS_PASSWORD, RDS_DB_NAME and DB_SSL.
+// Outside production a local PostgreSQL with the course's usual settings is assumed
+function databaseSection({ read, isProduction, problems }) {
+    const required = (name, fallback) => {
+        const value = read.string(name);
+        if (value === undefined && isProduction) {
+            problems.push(`${name} must be set in production`);
+        }
+        return value === undefined ? fallback : value;
+    };
+
+    const database = {
+        host: required("RDS_HOSTNAME", "localhost"),
+        port: read.integer("RDS_PORT", 5432, { min: 1, max: 65535 }),
+        user: required("RDS_USERNAME", "postgres"),
+        password: required("RDS_PASSWORD", "admin"),
+        database: required("RDS_DB_NAME", "foodisus"),
+        ssl: read.boolean("DB_SSL", false)
+    };
+
+    if (isProduction && read.raw("RDS_PASSWORD") && WEAK_DB_PASSWORDS.includes(database.password.toLowerCase())) {
+        problems.push("RDS_PASSWORD is a well-known default password; use a strong one in production");
+    }
+    return database;
+}
+
+// SESSION_SECRET signs the session cookies, SESSION_SECURE_COOKIE only sends them over HTTPS
+// and SESSION_MAX_AGE_HOURS is how long a login lasts
+function sessionSection({ read, isProduction, problems, warnings }) {
+    let secret = read.string("SESSION_SECRET");
+
+    if (isProduction) {
+        if (secret === undefined) {
+            problems.push("SESSION_SECRET must be set in production");
+        } else if (EXAMPLE_SECRETS.includes(secret)) {
+            problems.push("SESSION_SECRET is an example value; generate a new one, e.g. with: openssl rand -hex 32");
+        } else if (secret.length < MIN_SECRET_LENGTH) {
+            problems.push(`SESSION_SECRET must be at least ${MIN_SECRET_LENGTH} characters long in production`);
+        }
+    } else if (secret === undefined) {
+        // A fixed fallback would let anyone forge cookies for any server left running without a secret,
+        // so each process makes up its own - logins just don't survive a restart
+        secret = crypto.randomBytes(32).toString("hex");
+        warnings.push("SESSION_SECRET is not set, so a random one is used and everyone is logged out when the server restarts");
+    }
+
+    return {
+        secret,
+        secureCookies: read.boolean("SESSION_SECURE_COOKIE", isProduction),
+        maxAgeHours: read.integer("SESSION_MAX_AGE_HOURS", 8, { min: 1, max: 24 * 30 })
+    };
+}
+
+// STORAGE_DRIVER picks where uploads go (s3 in production and local disk everywhere else, unless it is set).
+// The S3_* settings and AWS_S3_BUCKET_NAME/AWS_REGION are only read for the s3 driver.
+// AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are read by the AWS SDK itself; they are only checked here
+function storageSection({ read, isProduction, problems, warnings }) {
+    const driver = read.choice("STORAGE_DRIVER", STORAGE_DRIVERS, isProduction ? "s3" : "local");
+    const storage = { driver, baseUrl: "/images" };
+
+    if (driver === "memory" && isProduction) {
+        problems.push("STORAGE_DRIVER=memory loses every upload when the server restarts, so it can't be used in production");
+    }
+
+    if (driver === "local") {
+        storage.root = path.resolve(read.string("UPLOAD_ROOT", DEFAULT_UPLOAD_ROOT));
+    }
+
+    if (driver === "s3") {
+        storage.bucket = read.string("AWS_S3_BUCKET_NAME");
+        storage.region = read.string("AWS_REGION");
+        storage.endpoint = read.url("S3_ENDPOINT");
+        storage.forcePathStyle = read.boolean("S3_FORCE_PATH_STYLE", undefined);
+        storage.publicUrls = read.boolean("S3_PUBLIC_URLS", false);
+        storage.presignExpiresIn = read.integer("S3_PRESIGN_EXPIRES", 900, { min: 1, max: MAX_PRESIGN_SECONDS });
+        storage.directUploads = read.boolean("S3_DIRECT_UPLOADS", false);
+
+        if (!storage.bucket) {
+            problems.push("AWS_S3_BUCKET_NAME must be set when STORAGE_DRIVER is s3");
+        }
+        if (!storage.region && isProduction) {
+            problems.push("AWS_REGION must be set when STORAGE_DRIVER is s3 in production");
+        } else if (!storage.region) {
+            warnings.push("AWS_REGION is not set; the AWS SDK will look for a region in ~/.aws/config");
+        }
+
+        const accessKeyId = read.raw("AWS_ACCESS_KEY_ID");
+        const secretAccessKey = read.raw("AWS_SECRET_ACCESS_KEY");
+        if (Boolean(accessKeyId) !== Boolean(secretAccessKey)) {
+            problems.push("AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY must be set together (or both left out to use the instance role)");
+        }
+        if (EXAMPLE_AWS_KEYS.includes(accessKeyId) || EXAMPLE_AWS_KEYS.includes(secretAccessKey)) {
+            problems.push("AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY are still the examples from env.example");
+        }
+    }
+
+    return storage;
+}
+
+// ALLOW_REGISTRATION opens /register to everyone, APP_URL is the address used in password reset links
+function accountsSection({ read, isProduction, warnings }) {
+    const appUrl = read.url("APP_URL");
+    if (!appUrl && isProduction) {
+        warnings.push("APP_URL is not set, so password reset links use the Host header of the request");
+    }
+    return {
+        allowRegistration: read.boolean("ALLOW_REGISTRATION", true),
+        appUrl
+    };
+}
+
+// NOTIFIER and NOTIFIER_FILE (see lib/notifier.js)
+function notifierSection({ read, isProduction, problems, warnings }) {
+    const driver = read.choice("NOTIFIER", NOTIFIERS, "console");
+    if (isProduction && driver === "memory") {
+        problems.push("NOTIFIER=memory never delivers anything, so it can't be used in production");
+    }
+    if (isProduction && driver === "console") {
+        warnings.push("NOTIFIER=console writes password reset links to the server logs");
+    }
+    return {
+        driver,
+        file: read.string("NOTIFIER_FILE", "notifications.log")
+    };
+}
+
+// The LOGIN_* limits (see lib/loginThrottle.js). LOGIN_BACKOFF_SECONDS=0 turns the backoff off
+function loginLimitsSection({ read }) {
+    return {
+        maxFailures: read.integer("LOGIN_MAX_FAILURES", DEFAULT_LOGIN_LIMITS.maxFailures, { min: 1 }),
+        ipMaxFailures: read.integer("LOGIN_IP_MAX_FAILURES", DEFAULT_LOGIN_LIMITS.ipMaxFailures, { min: 1 }),
+        windowMinutes: read.integer("LOGIN_WINDOW_MINUTES", DEFAULT_LOGIN_LIMITS.windowMinutes, { min: 1 }),
+        lockoutMinutes: read.integer("LOGIN_LOCKOUT_MINUTES", DEFAULT_LOGIN_LIMITS.lockoutMinutes, { min: 1 }),
+        freeFailures: read.integer("LOGIN_FREE_FAILURES", DEFAULT_LOGIN_LIMITS.freeFailures),
+        backoffSeconds: read.integer("LOGIN_BACKOFF_SECONDS", DEFAULT_LOGIN_LIMITS.backoffSeconds),
+        historyDays: read.integer("LOGIN_HISTORY_DAYS", DEFAULT_LOGIN_LIMITS.historyDays, { min: 1 })
+    };
+}
+
+// PROFILE_IMAGE_HISTORY is how many pictures each user can go back to, counting the current one
+function profileImagesSection({ read }) {
+    return {
+        historyLimit: read.integer("PROFILE_IMAGE_HISTORY", DEFAULT_HISTORY_LIMIT, { min: 1, max: 100 })
+    };
+}
+
+// LOG_LEVEL (lib/logger.js reads it too, as soon as it is loaded)
+function loggingSection({ read }) {
+    return {
+        level: read.choice("LOG_LEVEL", Object.keys(LEVELS), "info")
+    };
+}
+
+// METRICS_TOKEN protects /metrics (see MONITORING.md)
+function metricsSection({ read, isProduction, warnings }) {
+    const token = read.string("METRICS_TOKEN");
+    if (!token && isProduction) {
+        warnings.push("METRICS_TOKEN is not set, so anyone can read /metrics");
+    }
+    return { token };
+}
+
+const SECTIONS = {
+    server: serverSection,
+    database: databaseSection,
+    session: sessionSection,
+    storage: storageSection,
+    accounts: accountsSection,
+    notifier: notifierSection,
+    loginLimits: loginLimitsSection,
+    profileImages: profileImagesSection,
+    logging: loggingSection,
+    metrics: metricsSection
+};
+
+function deepFreeze(value) {
+    if (value && typeof value === "object") {
+        Object.values(value).forEach(deepFreeze);
+        Object.freeze(value);
+    }
+    return value;
+}
+
+// Read and check the settings. Throws a ConfigError listing every problem.
+// options.sections - only read these sections, e.g. ["database"] for the knex command line,
+// so a script isn't stopped by settings it never uses (default: all of them)
+// Returns a frozen { nodeEnv, isProduction, warnings, server, database, session, storage, ... }
+function loadConfig(env = process.env, options = {}) {
+    const sections = options.sections || Object.keys(SECTIONS);
+    const problems = [];
+    const warnings = [];
+    const read = createReader(env, problems);
+
+    const nodeEnv = read.choice("NODE_ENV", ENVIRONMENTS, "development");
+    const isProduction = nodeEnv === "production";
+    const context = { read, isProduction, problems, warnings };
+
+    const config = { nodeEnv, isProduction, warnings };
+    for (const name of sections) {
+        if (!SECTIONS[name]) {
+            throw new Error(`Unknown configuration section "${name}". Use one of: ${Object.keys(SECTIONS).join(", ")}`);
+        }
+        config[name] = SECTIONS[name](context);
+    }
+
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+    return deepFreeze(config);
+}
+
+// The settings with passwords, secrets and tokens hidden, for the startup log.
+// Set secrets show as "[redacted]" so you can still tell they were set
+function configSummary(config) {
+    const hide = (value) => (value ? "[redacted]" : "[not set]");
+
+    function summarize(value) {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+            return value;
+        }
+        const result = {};
+        for (const [name, field] of Object.entries(value)) {
+            result[name] = /password|secret|token/i.test(name) ? hide(field) : summarize(field);
+        }
+        return result;
+    }
+
+    const { warnings, ...settings } = config;
+    return summarize(settings);
+}
+
+module.exports = {
+    STORAGE_DRIVERS,
+    NOTIFIERS,
+    DEFAULT_LOGIN_LIMITS,
+    DEFAULT_HISTORY_LIMIT,
+    ConfigError,
+    loadConfig,
+    configSummary
+};
@@ -0,0 +1,59 @@
+// CSRF protection for form posts
+// Each session gets one random token. Every EJS form sends it back in a hidden _csrf field
+// (scripts send it in an X-CSRF-Token header), and every POST, PUT, PATCH or DELETE without the right token is refused.
+// That stops another site from submitting forms to us with the user's session cookie.
+
+const crypto = require("crypto");
+
+function sessionToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+    }
+    return req.session.csrfToken;
+}
+
+function tokensMatch(expected, actual) {
+    if (typeof expected !== "string" || typeof actual !== "string" || actual.length !== expected.length) {
+        return false;
+    }
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+}
+
+// GET, HEAD and OPTIONS only read data, so they never need a token
+function isUnsafeMethod(method) {
+    return !["GET", "HEAD", "OPTIONS"].includes(method);
+}
+
+// True when the request carries the session's token in the X-CSRF-Token header (used by the JSON API)
+function hasValidCsrfHeader(req) {
+    return tokensMatch(req.session.csrfToken, req.get("X-CSRF-Token"));
+}
+
+// options.parseMultipart - middleware that reads multipart bodies (files and fields) before the check,
+//                          because the token of an upload form is inside the multipart body
+// options.onFailure      - (req, res, next) called when the token is missing or wrong
+function csrfProtection(options) {
+    return (req, res, next) => {
+        // Make the token available to every view as csrfToken
+        res.locals.csrfToken = sessionToken(req);
+
+        if (!isUnsafeMethod(req.method)) {
+            return next();
+        }
+
+        const check = () => {
+            const submitted = (req.body && req.body._csrf) || req.get("X-CSRF-Token");
+            if (!tokensMatch(req.session.csrfToken, submitted)) {
+                return options.onFailure(req, res, next);
+            }
+            next();
+        };
+
+        if (req.is("multipart/form-data")) {
+            return options.parseMultipart(req, res, (err) => (err ? next(err) : check()));
+        }
+        check();
+    };
+}
+
+module.exports = { csrfProtection, sessionToken, isUnsafeMethod, hasValidCsrfHeader };
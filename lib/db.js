@@ -0,0 +1,42 @@
+// Database connection settings shared by the web app, the command-line scripts and knexfile.js
+
+const path = require("path");
+const { loadConfig } = require("./config");
+
+const DB_DIR = path.join(__dirname, "..", "db");
+
+// The database section of the configuration, read from the RDS_* environment variables.
+// Only that section is checked, so the scripts and the knex command line aren't stopped by settings they never use
+function databaseConfig(env = process.env) {
+    return loadConfig(env, { sections: ["database"] }).database;
+}
+
+// Knex configuration for the PostgreSQL database
+// database - config.database (see lib/config.js)
+function knexConfig(database = databaseConfig()) {
+    return {
+        client: "pg",
+        connection: {
+            host : database.host,
+            user : database.user,
+            password : database.password,
+            database : database.database,
+            port : database.port,  // PostgreSQL 16 typically uses port 5432
+            ssl: database.ssl ? {rejectUnauthorized: false} : false
+        },
+        // Schema changes live in db/migrations and sample data in db/seeds (see DATABASE.md)
+        migrations: {
+            directory: path.join(DB_DIR, "migrations"),
+            tableName: "knex_migrations"
+        },
+        seeds: {
+            directory: path.join(DB_DIR, "seeds")
+        }
+    };
+}
+
+function createKnex(database = databaseConfig()) {
+    return require("knex")(knexConfig(database));
+}
+
+module.exports = { databaseConfig, knexConfig, createKnex };
@@ -0,0 +1,200 @@
+// Error classes and the one Express error handler shared by every route
+// Routes don't build their own error pages: they throw (or pass to next) one of these errors and
+// errorHandler turns it into a page rendered with views/error.ejs, or JSON for API and fetch requests.
+// Anything that isn't an HttpError - a database failure, a bug - becomes a 500 and is logged with the request id.
+
+const multer = require("multer");
+const { InvalidImageError } = require("./images");
+const { logger, redactUrl } = require("./logger");
+
+// PostgreSQL error code for a duplicate value in a UNIQUE column
+const UNIQUE_VIOLATION = "23505";
+
+const TITLES = {
+    400: "Bad Request",
+    401: "Not Logged In",
+    403: "Forbidden",
+    404: "Not Found",
+    409: "Conflict",
+    413: "Too Large",
+    429: "Too Many Attempts",
+    500: "Server Error"
+};
+
+class HttpError extends Error {
+    // options.title   - heading on the error page (defaults to the usual name for the status)
+    // options.details - { field: "message" } for errors about specific fields
+    constructor(status, message, options = {}) {
+        super(message);
+        this.name = "HttpError";
+        this.status = status;
+        this.title = options.title || TITLES[status] || "Error";
+        this.details = options.details;
+    }
+}
+
+class BadRequestError extends HttpError {
+    constructor(message, options) {
+        super(400, message, options);
+        this.name = "BadRequestError";
+    }
+}
+
+// No session and no valid API token
+class UnauthorizedError extends HttpError {
+    constructor(message = "Please log in.", options) {
+        super(401, message, options);
+        this.name = "UnauthorizedError";
+    }
+}
+
+// Input that failed validation; details maps each field to its message (see lib/validation.js)
+class ValidationError extends HttpError {
+    constructor(details, message = "Validation failed.") {
+        super(400, message, { title: "Invalid Input", details });
+        this.name = "ValidationError";
+    }
+}
+
+class ForbiddenError extends HttpError {
+    constructor(message = "You don't have permission to do that.", options) {
+        super(403, message, options);
+        this.name = "ForbiddenError";
+    }
+}
+
+class NotFoundError extends HttpError {
+    constructor(message = "Page not found.", options) {
+        super(404, message, options);
+        this.name = "NotFoundError";
+    }
+}
+
+class ConflictError extends HttpError {
+    constructor(message, options) {
+        super(409, message, options);
+        this.name = "ConflictError";
+    }
+}
+
+// Too many attempts in a short time (see lib/loginThrottle.js); retryAfterSeconds is sent in a Retry-After header
+class TooManyRequestsError extends HttpError {
+    constructor(message, options = {}) {
+        super(429, message, options);
+        this.name = "TooManyRequestsError";
+        this.retryAfterSeconds = options.retryAfterSeconds;
+    }
+}
+
+// Express 4 doesn't catch rejected promises, so pass them on to the error handler
+function asyncHandler(handler) {
+    return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+// A message a person can act on for each multer error, e.g. LIMIT_FILE_SIZE
+function uploadErrorMessage(err) {
+    switch (err.code) {
+        case "LIMIT_FILE_SIZE":
+            if (err.field === "profileImage") {
+                return "The picture is too large. Profile pictures can be at most 5MB.";
+            }
+            return err.field === "attachments"
+                ? "A file is too large. Attachments can be at most 5MB each."
+                : "The file is too large.";
+        case "LIMIT_FILE_COUNT":
+        case "LIMIT_UNEXPECTED_FILE":
+            return "Too many files were uploaded at once.";
+        default:
+            return "The upload could not be read. Please try again.";
+    }
+}
+
+// Turn any error into an HttpError
+function toHttpError(err) {
+    if (err instanceof HttpError) {
+        return err;
+    }
+    if (err instanceof InvalidImageError) {
+        return new BadRequestError(err.message, { title: "Invalid Image", details: { profileImage: err.message } });
+    }
+    if (err instanceof multer.MulterError) {
+        const message = uploadErrorMessage(err);
+        return new BadRequestError(message, { title: "Upload Failed", details: err.field ? { [err.field]: message } : undefined });
+    }
+    // The only UNIQUE column people can fill in is users.username
+    if (err.code === UNIQUE_VIOLATION) {
+        return new ConflictError("That username is already taken.", { details: { username: "That username is already taken." } });
+    }
+    // Errors from express.json() and express.urlencoded()
+    if (err.type === "entity.parse.failed") {
+        return new BadRequestError("The request body is not valid JSON.");
+    }
+    if (err.type === "entity.too.large") {
+        return new HttpError(413, "The request is too large.");
+    }
+    return new HttpError(500, "Something went wrong on our side. Please try again.");
+}
+
+// API calls and the browser's fetch() requests get JSON; everything else gets a page
+function wantsJson(req) {
+    return req.originalUrl.startsWith("/api/") || req.is("application/json") || req.accepts(["html", "json"]) === "json";
+}
+
+// Sends { "error": "message", "details": { "field": "message" } }
+function sendJsonError(res, httpError) {
+    const body = { error: httpError.message };
+    if (httpError.details) {
+        body.details = httpError.details;
+    }
+    return res.status(httpError.status).json(body);
+}
+
+// The last middleware: anything no route answered is a 404
+function notFoundHandler(req, res, next) {
+    next(new NotFoundError());
+}
+
+// The one error handler for the pages - it must keep all four arguments so Express knows what it is
+function errorHandler(err, req, res, next) {
+    const httpError = toHttpError(err);
+    if (httpError.status >= 500) {
+        (req.log || logger).error("Request failed", { err, method: req.method, url: redactUrl(req.originalUrl) });
+    }
+
+    // Too late to send an error page if part of the response already went out
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    if (httpError.retryAfterSeconds) {
+        res.set("Retry-After", String(httpError.retryAfterSeconds));
+    }
+    if (wantsJson(req)) {
+        return sendJsonError(res, httpError);
+    }
+    res.status(httpError.status).render("error", {
+        status: httpError.status,
+        title: httpError.title,
+        message: httpError.message,
+        details: httpError.details || {}
+    });
+}
+
+module.exports = {
+    UNIQUE_VIOLATION,
+    HttpError,
+    BadRequestError,
+    UnauthorizedError,
+    ValidationError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    TooManyRequestsError,
+    asyncHandler,
+    uploadErrorMessage,
+    toHttpError,
+    wantsJson,
+    sendJsonError,
+    notFoundHandler,
+    errorHandler
+};
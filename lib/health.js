@@ -0,0 +1,40 @@
+// Readiness checks: can we reach the database and the file storage right now?
+// Used by GET /readyz (see routes/health.js) and logged once when the server starts.
+
+// How long each check may take before it counts as failed - a hung connection is as bad as a refused one
+const CHECK_TIMEOUT_MS = 3000;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Runs one check and reports { status: "ok" | "error", durationMs, error }
+async function runCheck(check, timeoutMs) {
+    const started = Date.now();
+    try {
+        await withTimeout(Promise.resolve().then(check), timeoutMs);
+        return { status: "ok", durationMs: Date.now() - started };
+    } catch (err) {
+        return { status: "error", durationMs: Date.now() - started, error: err.message };
+    }
+}
+
+// Returns { ready, checks: { database, storage } }
+async function checkReadiness({ knex, storage, timeoutMs = CHECK_TIMEOUT_MS }) {
+    const [database, storageCheck] = await Promise.all([
+        runCheck(() => knex.raw("select 1"), timeoutMs),
+        runCheck(() => storage.checkHealth(), timeoutMs)
+    ]);
+
+    const checks = { database, storage: { driver: storage.name, ...storageCheck } };
+    return {
+        ready: Object.values(checks).every((check) => check.status === "ok"),
+        checks
+    };
+}
+
+module.exports = { CHECK_TIMEOUT_MS, checkReadiness };
@@ -0,0 +1,70 @@
+// Hobby queries shared by the web pages and the JSON API:
+// categories, and the sorted, filtered list of one user's hobbies
+
+// Sort options for the hobby list (?sort=) and the columns behind them
+const HOBBY_SORT_COLUMNS = {
+    date: "hobbies.date_learned",
+    description: "hobbies.hobby_description",
+    category: "hobby_categories.name"
+};
+
+function listCategories(knex) {
+    return knex("hobby_categories")
+        .select("id", "name")
+        .orderBy("name");
+}
+
+// Hobby dates as YYYY-MM-DD. The pg driver turns DATE columns into a Date at local midnight,
+// so read the local parts (toISOString would shift the day in time zones ahead of UTC)
+function dateOnly(value) {
+    if (value instanceof Date) {
+        const month = String(value.getMonth() + 1).padStart(2, "0");
+        const day = String(value.getDate()).padStart(2, "0");
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return typeof value === "string" ? value.split("T")[0] : value;
+}
+
+// Clean sort and filter options from the query string, e.g. ?sort=date&dir=desc&category=3&from=2020-01-01
+// Unknown or invalid values are ignored. category=none shows hobbies without a category
+function parseHobbyListQuery(query) {
+    const isDate = (value) => typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+    let category = "";
+    if (query.category === "none" || /^\d+$/.test(String(query.category))) {
+        category = String(query.category);
+    }
+
+    return {
+        sort: Object.hasOwn(HOBBY_SORT_COLUMNS, query.sort) ? query.sort : "date",
+        dir: query.dir === "desc" ? "desc" : "asc",
+        category,
+        from: isDate(query.from) ? query.from : "",
+        to: isDate(query.to) ? query.to : ""
+    };
+}
+
+// One user's hobbies, each with its category_name (null when uncategorized)
+function listHobbies(knex, userId, options = parseHobbyListQuery({})) {
+    const query = knex("hobbies")
+        .leftJoin("hobby_categories", "hobby_categories.id", "hobbies.category_id")
+        .select("hobbies.*", "hobby_categories.name as category_name")
+        .where("hobbies.user_id", userId);
+
+    if (options.category === "none") {
+        query.whereNull("hobbies.category_id");
+    } else if (options.category) {
+        query.where("hobbies.category_id", Number(options.category));
+    }
+    if (options.from) {
+        query.where("hobbies.date_learned", ">=", options.from);
+    }
+    if (options.to) {
+        query.where("hobbies.date_learned", "<=", options.to);
+    }
+
+    return query
+        .orderBy(HOBBY_SORT_COLUMNS[options.sort], options.dir)
+        .orderBy("hobbies.id", options.dir);
+}
+
+module.exports = { HOBBY_SORT_COLUMNS, listCategories, dateOnly, parseHobbyListQuery, listHobbies };
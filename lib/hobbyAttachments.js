@@ -0,0 +1,210 @@
+// Files attached to hobbies - photos, or PDFs such as certificates
+// They go into the same storage as profile pictures (local disk, S3 or memory) under
+// attachments/<id>/<file name>, with a row in hobby_attachments for each file.
+// Like profile pictures, the type comes from the first bytes of the file rather than its name, and photos
+// are re-encoded so their metadata (EXIF, including GPS location) is dropped. PDFs are stored as they are.
+// Deleting a hobby or a user queues the files in storage_deletions (see lib/storageDeletions.js).
+
+const crypto = require("crypto");
+const path = require("path");
+const sharp = require("sharp");
+const { detectImageType } = require("./images");
+const { queueStorageDeletions } = require("./storageDeletions");
+const { recordUploadFailure } = require("./metrics");
+const { recordAudit } = require("./auditLog");
+const { BadRequestError } = require("./errors");
+
+// Outside uploads/, so attachments are never served or listed as profile pictures.
+// storage:reconcile checks this folder against hobby_attachments (see lib/storageReconciliation.js)
+const ATTACHMENT_PREFIX = "attachments/";
+
+// The form field, and how many files one hobby can have
+const ATTACHMENT_FIELD = "attachments";
+const MAX_ATTACHMENTS_PER_HOBBY = 10;
+
+// The types we accept, with the extension and sharp format each is saved with
+const ATTACHMENT_TYPES = {
+    "image/jpeg": { extension: ".jpg", format: "jpeg" },
+    "image/png": { extension: ".png", format: "png" },
+    "image/gif": { extension: ".gif", format: "gif" },
+    "image/webp": { extension: ".webp", format: "webp" },
+    "application/pdf": { extension: ".pdf", format: null }
+};
+
+// Thrown when a file is not one we accept. Pages catch it to show the form again;
+// the API answers it like any other 400 with { details: { attachments: message } }
+class InvalidAttachmentError extends BadRequestError {
+    constructor(message) {
+        super(message, { title: "Invalid Attachment", details: { [ATTACHMENT_FIELD]: message } });
+        this.name = "InvalidAttachmentError";
+    }
+}
+
+// Every PDF starts with "%PDF-"; everything else must be an image
+function detectAttachmentType(buffer) {
+    if (buffer && buffer.length >= 5 && buffer.subarray(0, 5).toString("ascii") === "%PDF-") {
+        return "application/pdf";
+    }
+    return detectImageType(buffer);
+}
+
+function isImageAttachment(attachment) {
+    return String(attachment.content_type).startsWith("image/");
+}
+
+// The Content-Disposition header for opening an attachment in the browser under its original name.
+// filename is a plain-ASCII fallback for old browsers; filename* has the real name, percent-encoded
+function contentDisposition(attachment) {
+    const name = String(attachment.original_name || "file");
+    const fallback = name.replace(/[^\x20-\x7e]|["\\]/g, "_");
+    const encoded = encodeURIComponent(name).replace(/['()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `inline; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// "My Certificate (final).PDF" becomes "My-Certificate-final-.pdf". The extension always matches the real type
+function safeFileName(originalName, contentType) {
+    const base = path.basename(String(originalName || "file"), path.extname(String(originalName || "")))
+        .replace(/[^\w.-]+/g, "-")
+        .replace(/^[.-]+/, "")
+        .slice(0, 100);
+    return `${base || "file"}${ATTACHMENT_TYPES[contentType].extension}`;
+}
+
+// Re-encode a photo in its own format, which drops the metadata. GIFs keep their animation
+async function cleanImage(buffer, contentType, name) {
+    try {
+        const animated = contentType === "image/gif";
+        const image = sharp(buffer, { animated });
+        // rotate() with no angle applies the EXIF orientation before the metadata is dropped
+        return await (animated ? image : image.rotate()).toFormat(ATTACHMENT_TYPES[contentType].format).toBuffer();
+    } catch (error) {
+        // The header looked right but the rest of the file is damaged
+        throw new InvalidAttachmentError(`${name} could not be read. Please try another file.`);
+    }
+}
+
+// deps: storage
+function createHobbyAttachments(storage) {
+    // Check every file, then save them all - nothing is saved if one of them is refused.
+    // files are multer files ({ buffer, originalname }).
+    // Returns [{ key, original_name, content_type, size }] for recordAttachments()
+    async function saveAttachments(files) {
+        if (files.length > MAX_ATTACHMENTS_PER_HOBBY) {
+            throw new InvalidAttachmentError(`A hobby can have at most ${MAX_ATTACHMENTS_PER_HOBBY} attachments.`);
+        }
+        const checked = [];
+        for (const file of files) {
+            const name = String(file.originalname || "file").slice(0, 255);
+            const contentType = detectAttachmentType(file.buffer);
+            if (!contentType) {
+                recordUploadFailure("invalid_attachment");
+                throw new InvalidAttachmentError(`${name} isn't a photo or a PDF. Attachments must be JPEG, PNG, GIF, WebP or PDF files.`);
+            }
+            const body = contentType === "application/pdf" ? file.buffer : await cleanImage(file.buffer, contentType, name);
+            checked.push({ name, contentType, body });
+        }
+
+        const saved = [];
+        try {
+            for (const { name, contentType, body } of checked) {
+                const key = `${ATTACHMENT_PREFIX}${crypto.randomUUID()}/${safeFileName(name, contentType)}`;
+                await storage.put(key, body, { contentType });
+                saved.push({ key, original_name: name, content_type: contentType, size: body.length });
+            }
+        } catch (error) {
+            recordUploadFailure("storage_error");
+            // Nothing points at the files saved so far, so try to remove them straight away
+            await Promise.allSettled(saved.map((attachment) => storage.delete(attachment.key)));
+            throw error;
+        }
+        return saved;
+    }
+
+    // Add the saved files to a hobby, with an audit row for each.
+    // db is the transaction that saves the hobby. Returns the new rows
+    async function recordAttachments(db, req, hobbyId, saved) {
+        if (saved.length === 0) {
+            return [];
+        }
+        const uploadedBy = req && req.currentUser ? req.currentUser.id : null;
+        const rows = await db("hobby_attachments")
+            .insert(saved.map((attachment) => ({ hobby_id: hobbyId, ...attachment, uploaded_by: uploadedBy })))
+            .returning("*");
+
+        for (const row of rows) {
+            await recordAudit(db, req, { action: "create", targetType: "attachment", targetId: row.id, after: row });
+        }
+        return rows;
+    }
+
+    // Queue the files of these hobbies' attachments for deletion, with an audit row for each.
+    // Call it in the transaction that deletes the hobbies, before they are deleted - the rows go with them
+    async function queueAttachmentsDeletion(db, req, hobbyIds, reason) {
+        if (hobbyIds.length === 0) {
+            return;
+        }
+        const attachments = await db("hobby_attachments").whereIn("hobby_id", hobbyIds);
+
+        for (const attachment of attachments) {
+            await recordAudit(db, req, { action: "delete", targetType: "attachment", targetId: attachment.id, before: attachment });
+        }
+        await queueStorageDeletions(db, attachments.map((attachment) => attachment.key), reason);
+    }
+
+    // Files that were saved but never recorded (e.g. the hobby failed to save)
+    function queueSavedAttachmentsDeletion(db, saved, reason) {
+        return queueStorageDeletions(db, saved.map((attachment) => attachment.key), reason);
+    }
+
+    // The attachments of these hobbies as a Map of hobby id -> attachments, oldest first
+    async function attachmentsByHobby(db, hobbyIds) {
+        const byHobby = new Map(hobbyIds.map((id) => [Number(id), []]));
+        if (hobbyIds.length === 0) {
+            return byHobby;
+        }
+        const attachments = await db("hobby_attachments")
+            .whereIn("hobby_id", hobbyIds)
+            .orderBy("id");
+
+        for (const attachment of attachments) {
+            byHobby.get(Number(attachment.hobby_id)).push(attachment);
+        }
+        return byHobby;
+    }
+
+    // An attachment with the user_id of its hobby's owner, or undefined
+    function findAttachment(db, attachmentId) {
+        return db("hobby_attachments")
+            .join("hobbies", "hobbies.id", "hobby_attachments.hobby_id")
+            .where("hobby_attachments.id", attachmentId)
+            .select("hobby_attachments.*", "hobbies.user_id")
+            .first();
+    }
+
+    // Attachments aren't linked by their storage key: GET /attachments/:id checks who is asking first
+    function attachmentUrl(attachment) {
+        return `/attachments/${attachment.id}`;
+    }
+
+    return {
+        saveAttachments,
+        recordAttachments,
+        queueAttachmentsDeletion,
+        queueSavedAttachmentsDeletion,
+        attachmentsByHobby,
+        findAttachment,
+        attachmentUrl
+    };
+}
+
+module.exports = {
+    ATTACHMENT_PREFIX,
+    ATTACHMENT_FIELD,
+    MAX_ATTACHMENTS_PER_HOBBY,
+    ATTACHMENT_TYPES,
+    InvalidAttachmentError,
+    detectAttachmentType,
+    isImageAttachment,
+    contentDisposition,
+    createHobbyAttachments
+};
@@ -0,0 +1,33 @@
+// Helpers for the values stored in users.profile_image
+// The column holds a storage key like "uploads/photo-123.jpg" - never a full URL.
+// Older rows still hold URLs in one of these formats, which keyFromStoredValue converts:
+//   https://bucket-name.s3.region.amazonaws.com/uploads/photo.jpg   (S3, virtual-hosted style)
+//   http://localhost:9000/bucket-name/uploads/photo.jpg             (S3-compatible, path style)
+//   /images/uploads/photo.jpg                                       (local disk)
+
+const LOCAL_PREFIX = "/images/";
+
+function keyFromStoredValue(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (/^https?:\/\//i.test(value)) {
+        const parsed = new URL(value);
+        const segments = parsed.pathname.replace(/^\/+/, "").split("/").map(decodeURIComponent);
+
+        // Virtual-hosted style puts the bucket in the host name, so the whole path is the key.
+        // Path style puts the bucket in the first path segment, so drop it
+        const virtualHosted = /\.s3[.-]/.test(parsed.hostname) && !parsed.hostname.startsWith("s3.");
+        return (virtualHosted ? segments : segments.slice(1)).join("/") || null;
+    }
+
+    if (value.startsWith(LOCAL_PREFIX)) {
+        return value.slice(LOCAL_PREFIX.length) || null;
+    }
+
+    // Already a key
+    return value.replace(/^\/+/, "");
+}
+
+module.exports = { keyFromStoredValue };
@@ -0,0 +1,113 @@
+// Profile picture processing
+// Every uploaded picture is checked by its magic bytes (the first bytes of the file, not its name),
+// then re-encoded with sharp. Re-encoding drops all metadata, including EXIF GPS coordinates.
+// Each upload is stored as two variants that share a folder:
+//   uploads/<id>/avatar.jpg  - the normalized avatar (saved in users.profile_image)
+//   uploads/<id>/thumb.jpg   - a small thumbnail for lists
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+
+const AVATAR_SIZE = 512;
+const THUMBNAIL_SIZE = 96;
+
+// Thrown when an upload is not an image we accept, so routes can show a form error instead of a 500
+class InvalidImageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "InvalidImageError";
+    }
+}
+
+// Look at the first bytes of the file to find its real type
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) {
+        return null;
+    }
+    if (buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return "image/jpeg";
+    }
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) {
+        return "image/png";
+    }
+    const header = buffer.subarray(0, 6).toString("ascii");
+    if (header === "GIF87a" || header === "GIF89a") {
+        return "image/gif";
+    }
+    if (buffer.subarray(0, 4).toString("ascii") === "RIFF" && buffer.subarray(8, 12).toString("ascii") === "WEBP") {
+        return "image/webp";
+    }
+    return null;
+}
+
+// Turn an uploaded file into the avatar and thumbnail buffers (both JPEG, no metadata)
+async function processProfileImage(buffer) {
+    if (!detectImageType(buffer)) {
+        throw new InvalidImageError("Profile pictures must be JPEG, PNG, GIF or WebP images.");
+    }
+
+    try {
+        // rotate() with no angle applies the EXIF orientation before the metadata is dropped
+        const avatar = await sharp(buffer)
+            .rotate()
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: "cover" })
+            .jpeg({ quality: 85 })
+            .toBuffer();
+
+        const thumbnail = await sharp(avatar)
+            .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "cover" })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+
+        return { avatar, thumbnail };
+    } catch (error) {
+        // The header looked right but the rest of the file is damaged
+        throw new InvalidImageError("The profile picture could not be read. Please try another image.");
+    }
+}
+
+// Process an upload and save both variants.
+// Returns { key, size, contentType, versionId, thumbnailVersionId } - key is the avatar key to store on the user,
+// and the version ids are only set when the S3 bucket has versioning turned on
+async function storeProfileImage(storage, buffer) {
+    const { avatar, thumbnail } = await processProfileImage(buffer);
+    const folder = `uploads/${crypto.randomUUID()}`;
+    const avatarKey = `${folder}/avatar.jpg`;
+
+    const saved = await storage.put(avatarKey, avatar, { contentType: "image/jpeg" });
+    const savedThumbnail = await storage.put(`${folder}/thumb.jpg`, thumbnail, { contentType: "image/jpeg" });
+
+    return {
+        key: avatarKey,
+        size: avatar.length,
+        contentType: "image/jpeg",
+        versionId: (saved && saved.versionId) || null,
+        thumbnailVersionId: (savedThumbnail && savedThumbnail.versionId) || null
+    };
+}
+
+// Pictures uploaded before processing existed have no thumbnail, so fall back to the picture itself
+function thumbnailKey(key) {
+    if (key && key.endsWith("/avatar.jpg")) {
+        return key.slice(0, -"avatar.jpg".length) + "thumb.jpg";
+    }
+    return key;
+}
+
+// Every stored object that belongs to a profile picture
+function imageVariantKeys(key) {
+    if (!key) {
+        return [];
+    }
+    const thumb = thumbnailKey(key);
+    return thumb === key ? [key] : [key, thumb];
+}
+
+module.exports = {
+    InvalidImageError,
+    detectImageType,
+    processProfileImage,
+    storeProfileImage,
+    thumbnailKey,
+    imageVariantKeys
+};
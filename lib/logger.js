@@ -0,0 +1,108 @@
+// Structured logging: every log line is one JSON object, e.g.
+//   {"time":"2024-01-31T12:00:00.000Z","level":"info","msg":"Request finished","requestId":"...","status":200}
+// JSON lines are easy to search in CloudWatch (or with jq locally) - you can filter on any field
+// instead of guessing at the wording of a message.
+//
+// Every request gets an id (see requestLogger below). It is sent back in the X-Request-Id header, stored in
+// audit_log rows and added to every line logged with req.log, so one request can be followed from start to finish.
+
+const crypto = require("crypto");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors don't turn into JSON by themselves (their properties aren't enumerable)
+function serializeError(err) {
+    return {
+        name: err.name,
+        message: err.message,
+        code: err.code,
+        stack: err.stack
+    };
+}
+
+function serializeFields(fields) {
+    const result = {};
+    for (const [name, value] of Object.entries(fields)) {
+        result[name] = value instanceof Error ? serializeError(value) : value;
+    }
+    return result;
+}
+
+// options.level  - the lowest level written: debug, info (default), warn or error. LOG_LEVEL sets it
+// options.stream - where lines go (process.stdout by default)
+// options.fields - added to every line, e.g. { requestId }
+function createLogger(options = {}) {
+    const levelName = options.level || process.env.LOG_LEVEL || "info";
+    const minimum = LEVELS[levelName] || LEVELS.info;
+    const stream = options.stream || process.stdout;
+    const baseFields = options.fields || {};
+
+    function write(level, message, fields = {}) {
+        if (LEVELS[level] < minimum) {
+            return;
+        }
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: message,
+            ...baseFields,
+            ...serializeFields(fields)
+        };
+        stream.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    return {
+        debug: (message, fields) => write("debug", message, fields),
+        info: (message, fields) => write("info", message, fields),
+        warn: (message, fields) => write("warn", message, fields),
+        error: (message, fields) => write("error", message, fields),
+        // A logger that adds more fields to every line, e.g. logger.child({ requestId })
+        child: (fields) => createLogger({ level: levelName, stream, fields: { ...baseFields, ...fields } })
+    };
+}
+
+// The logger for code that doesn't run inside a request (startup, background workers)
+const logger = createLogger();
+
+// A load balancer may already have given the request an id; reuse it if it looks sane
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+// Query string values that must never reach the logs, e.g. the token in /reset-password?token=...
+const SECRET_QUERY_PARAMS = ["token"];
+
+function redactUrl(url) {
+    return url.replace(new RegExp(`([?&](?:${SECRET_QUERY_PARAMS.join("|")})=)[^&#]*`, "gi"), "$1[redacted]");
+}
+
+// Middleware that gives every request an id and a logger (req.id, req.log),
+// and logs one line when the response is finished with its status and how long it took.
+// options.quietPaths - paths polled all day (health checks) whose lines are only logged at debug level
+function requestLogger(baseLogger = logger, options = {}) {
+    const quietPaths = options.quietPaths || [];
+
+    return (req, res, next) => {
+        const incoming = req.get("X-Request-Id");
+        req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+        req.log = baseLogger.child({ requestId: req.id });
+        res.setHeader("X-Request-Id", req.id);
+
+        const started = process.hrtime.bigint();
+        res.on("finish", () => {
+            const durationMs = Number(process.hrtime.bigint() - started) / 1e6;
+            let level = res.statusCode >= 500 ? "error" : "info";
+            if (level === "info" && quietPaths.includes(req.originalUrl.split("?")[0])) {
+                level = "debug";
+            }
+            req.log[level]("Request finished", {
+                method: req.method,
+                url: redactUrl(req.originalUrl),
+                status: res.statusCode,
+                durationMs: Math.round(durationMs * 10) / 10,
+                userId: req.currentUser ? req.currentUser.id : undefined
+            });
+        });
+        next();
+    };
+}
+
+module.exports = { LEVELS, createLogger, logger, redactUrl, requestLogger };
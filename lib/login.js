@@ -0,0 +1,53 @@
+// Logging a user in, shared by POST /login, sign-up (routes/account.js) and API tokens (routes/api.js)
+
+const { hashPassword, verifyPassword, needsRehash } = require("./passwords");
+
+// A hash of a random password nobody knows, checked when the username doesn't exist
+const DUMMY_PASSWORD_HASH = "scrypt$16384$8$1$aEHYBGXgWW69OgkthmOX7g==$n4YcFlo+/0/YM2gYn7cryBkjC//KJ0erra0iqaXJ0MLvUwMtTAhAoRt+gJaTAIeQt7F66oKy37gl3UK3JYlgBA==";
+
+// Check a username and password. Returns the user ({ id, username, role }) or null.
+// The login limits (lib/loginThrottle.js) are up to the caller, since the page and the API answer them differently
+async function checkCredentials(knex, username, password) {
+    const user = await knex("users")
+        .select("id", "username", "role", "password")
+        .where({ username: typeof username === "string" ? username : "" })
+        .first();
+
+    // Passwords are stored as scrypt hashes, so we can't look them up with a WHERE clause.
+    // Check the hash even when the username doesn't exist so both cases take about as long,
+    // otherwise the response time would tell which usernames exist
+    const passwordMatches = await verifyPassword(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !passwordMatches) {
+        return null;
+    }
+
+    // Old rows still hold the plain password (or a weaker hash) - replace it now that we know the password
+    if (needsRehash(user.password)) {
+        await knex("users")
+            .where({ id: user.id })
+            .update({ password: await hashPassword(password) });
+    }
+
+    const { password: stored, ...loggedIn } = user;
+    return loggedIn;
+}
+
+// Start a fresh session for user ({ id, username }).
+// The session id from before the login is thrown away, so an attacker who planted a session cookie in the
+// browser (session fixation) isn't logged in along with the user. The CSRF token issued on the login form
+// went with the old session, so the next page gets a new one
+function startLoggedInSession(req, user) {
+    return new Promise((resolve, reject) => {
+        req.session.regenerate((err) => {
+            if (err) {
+                return reject(err);
+            }
+            req.session.isLoggedIn = true;
+            req.session.userId = user.id;
+            req.session.username = user.username;
+            resolve();
+        });
+    });
+}
+
+module.exports = { checkCredentials, startLoggedInSession };
@@ -0,0 +1,248 @@
+// Brute-force protection for logging in (POST /login and POST /api/v1/tokens)
+// Failures are counted per username ("account") and per IP address ("ip") in login_throttles:
+//   - after freeFailures failures in a row, each further attempt on that username has to wait,
+//     and the wait doubles every time (1s, 2s, 4s, ...) - exponential backoff
+//   - maxFailures failures within windowMinutes lock the username for lockoutMinutes
+//   - ipMaxFailures failures from one address within windowMinutes lock that address out.
+//     It is much higher than maxFailures because many people can share one address (offices, campuses)
+// A blocked attempt is refused before the password is checked, so guessing faster doesn't help.
+// Usernames that don't exist are counted the same way, so the limits don't give away who has an account.
+// A successful login clears the username's failures; admins can unlock on /admin/logins.
+// Every attempt is also written to login_attempts for the admin page, and kept for historyDays.
+// prune() (run every hour by startPruning()) deletes older attempts and the counts nobody is limited by any more,
+// so guessing at a locked account can't grow the tables forever.
+
+const { logger } = require("./logger");
+// The LOGIN_* settings override these (see lib/config.js)
+const { DEFAULT_LOGIN_LIMITS } = require("./config");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const SCOPES = ["account", "ip"];
+
+// Column lengths in login_attempts and login_throttles
+const MAX_KEY_LENGTH = 255;
+const MAX_IP_LENGTH = 64;
+
+// "Alice " and "alice" are the same account as far as the limits are concerned
+function accountKey(username) {
+    return String(username || "").trim().toLowerCase().slice(0, MAX_KEY_LENGTH);
+}
+
+function ipKey(ip) {
+    return String(ip || "").slice(0, MAX_IP_LENGTH);
+}
+
+// "in 45 seconds", "in 3 minutes"
+function waitMessage(seconds) {
+    if (seconds < 60) {
+        return `in ${seconds} second${seconds === 1 ? "" : "s"}`;
+    }
+    const minutes = Math.ceil(seconds / 60);
+    return `in ${minutes} minute${minutes === 1 ? "" : "s"}`;
+}
+
+// deps: { knex, limits, now }
+// now - returns the current time (the tests pass their own clock)
+function createLoginThrottle({ knex, limits = DEFAULT_LOGIN_LIMITS, now = () => new Date() }) {
+    const windowMs = limits.windowMinutes * 60 * 1000;
+    const lockoutMs = limits.lockoutMinutes * 60 * 1000;
+    const historyMs = (limits.historyDays || DEFAULT_LOGIN_LIMITS.historyDays) * DAY_MS;
+    let pruneTimer = null;
+
+    // How long to wait after this many failures in a row (0 while still within freeFailures)
+    function backoffMs(failures) {
+        if (!limits.backoffSeconds || failures < limits.freeFailures) {
+            return 0;
+        }
+        return Math.min(limits.backoffSeconds * 1000 * 2 ** (failures - limits.freeFailures), lockoutMs);
+    }
+
+    function windowIsOver(row, time) {
+        return time - new Date(row.window_started_at) >= windowMs;
+    }
+
+    // When the next attempt is allowed, or null if it is allowed now.
+    // Backoff only applies to usernames - an address shared by many people only gets locked
+    function blockedUntil(row, time) {
+        if (row.locked_until && new Date(row.locked_until) > time) {
+            return new Date(row.locked_until);
+        }
+        if (row.scope === "account" && !windowIsOver(row, time)) {
+            const next = new Date(new Date(row.last_failure_at).getTime() + backoffMs(row.failures));
+            if (next > time) {
+                return next;
+            }
+        }
+        return null;
+    }
+
+    function recordAttempt(username, ip, outcome) {
+        return knex("login_attempts").insert({
+            username: String(username || "").slice(0, MAX_KEY_LENGTH),
+            ip: ip ? ipKey(ip) : null,
+            outcome
+        });
+    }
+
+    // Returns { allowed: true } or { allowed: false, scope, retryAfterSeconds, message }
+    async function check(username, ip) {
+        const time = now();
+        const rows = await knex("login_throttles")
+            .where({ scope: "account", key: accountKey(username) })
+            .orWhere({ scope: "ip", key: ipKey(ip) });
+
+        let blocked = null;
+        for (const row of rows) {
+            const until = blockedUntil(row, time);
+            if (until && (!blocked || until > blocked.until)) {
+                blocked = { scope: row.scope, until };
+            }
+        }
+        if (!blocked) {
+            return { allowed: true };
+        }
+
+        const retryAfterSeconds = Math.max(Math.ceil((blocked.until - time) / 1000), 1);
+        return {
+            allowed: false,
+            scope: blocked.scope,
+            retryAfterSeconds,
+            message: `Too many failed logins. Try again ${waitMessage(retryAfterSeconds)}.`
+        };
+    }
+
+    // Adds one failure to a username's or address's count, starting a new window when the old one is over
+    async function addFailure(scope, key, maxFailures) {
+        const time = now();
+        return knex.transaction(async (trx) => {
+            // Make sure the row exists, then lock it so two failures at once can't both count as the first
+            await trx("login_throttles")
+                .insert({ scope, key, failures: 0, window_started_at: time, last_failure_at: time })
+                .onConflict(["scope", "key"])
+                .ignore();
+            const row = await trx("login_throttles").where({ scope, key }).forUpdate().first();
+
+            const newWindow = windowIsOver(row, time);
+            const failures = newWindow ? 1 : row.failures + 1;
+            const lockedUntil = maxFailures && failures >= maxFailures ? new Date(time.getTime() + lockoutMs) : null;
+
+            await trx("login_throttles")
+                .where({ id: row.id })
+                .update({
+                    failures,
+                    window_started_at: newWindow ? time : row.window_started_at,
+                    last_failure_at: time,
+                    locked_until: lockedUntil || row.locked_until
+                });
+            return { failures, lockedUntil };
+        });
+    }
+
+    // A wrong username or password. Returns { lockedUntil } when the username has just been locked
+    async function recordFailure(username, ip) {
+        const account = await addFailure("account", accountKey(username), limits.maxFailures);
+        if (ip) {
+            await addFailure("ip", ipKey(ip), limits.ipMaxFailures);
+        }
+        await recordAttempt(username, ip, "failure");
+        return { lockedUntil: account.lockedUntil };
+    }
+
+    // The username's failures are forgiven; the address keeps its count, so one account
+    // an attacker controls can't be used to clear the address's failures
+    async function recordSuccess(username, ip) {
+        await knex("login_throttles")
+            .where({ scope: "account", key: accountKey(username) })
+            .del();
+        await recordAttempt(username, ip, "success");
+    }
+
+    // An attempt refused by check() - the password was never looked at
+    function recordBlocked(username, ip) {
+        return recordAttempt(username, ip, "blocked");
+    }
+
+    // Lets a username or address try again straight away. Returns true if anything was locked
+    // db - knex or a transaction
+    async function unlock(scope, key, db = knex) {
+        const deleted = await db("login_throttles")
+            .where({ scope, key: scope === "account" ? accountKey(key) : key })
+            .del();
+        return deleted > 0;
+    }
+
+    // Usernames and addresses with failures in the current window, newest first,
+    // each with blockedUntil (null when it may try again now)
+    async function listThrottles() {
+        const time = now();
+        const rows = await knex("login_throttles")
+            .where("locked_until", ">", time)
+            .orWhere("window_started_at", ">", new Date(time.getTime() - windowMs))
+            .orderBy("last_failure_at", "desc");
+        return rows.map((row) => ({ ...row, blockedUntil: blockedUntil(row, time) }));
+    }
+
+    // The latest attempts, optionally for one username
+    function listAttempts({ username, limit = 50 } = {}) {
+        const query = knex("login_attempts")
+            .orderBy("created_at", "desc")
+            .orderBy("id", "desc")
+            .limit(limit);
+        if (username) {
+            query.whereRaw("lower(username) = ?", [accountKey(username)]);
+        }
+        return query;
+    }
+
+    // Deletes attempts older than historyDays, and the counts of usernames and addresses whose window and
+    // lockout are both over (the next failure starts a new window anyway). Returns how many rows went from each table
+    async function prune() {
+        const time = now();
+        const attempts = await knex("login_attempts")
+            .where("created_at", "<", new Date(time.getTime() - historyMs))
+            .del();
+        const throttles = await knex("login_throttles")
+            .where("window_started_at", "<=", new Date(time.getTime() - windowMs))
+            .andWhere((query) => query.whereNull("locked_until").orWhere("locked_until", "<=", time))
+            .del();
+        return { attempts, throttles };
+    }
+
+    // Runs prune() now and then every hour. The timer doesn't keep the process alive
+    function startPruning(intervalMs = PRUNE_INTERVAL_MS) {
+        if (pruneTimer) {
+            return;
+        }
+        const run = () => prune().catch((err) => logger.error("Pruning login attempts failed", { err }));
+        pruneTimer = setInterval(run, intervalMs);
+        pruneTimer.unref();
+        run();
+    }
+
+    function stopPruning() {
+        clearInterval(pruneTimer);
+        pruneTimer = null;
+    }
+
+    return {
+        limits,
+        check,
+        recordFailure,
+        recordSuccess,
+        recordBlocked,
+        unlock,
+        listThrottles,
+        listAttempts,
+        prune,
+        startPruning,
+        stopPruning
+    };
+}
+
+module.exports = {
+    SCOPES,
+    accountKey,
+    createLoginThrottle
+};
@@ -0,0 +1,129 @@
+// Prometheus metrics, served at /metrics (see routes/health.js)
+// Prometheus (or CloudWatch's Prometheus agent) reads that page every few seconds and keeps the history,
+// so we only count things here: requests and how long they took, upload sizes and failures,
+// database pool usage, plus the standard Node.js process metrics (memory, CPU, event loop lag).
+
+const client = require("prom-client");
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequests = new client.Counter({
+    name: "http_requests_total",
+    help: "HTTP requests, by method, route and status code",
+    labelNames: ["method", "route", "status"],
+    registers: [registry]
+});
+
+const httpRequestDuration = new client.Histogram({
+    name: "http_request_duration_seconds",
+    help: "Time from receiving a request to finishing the response",
+    labelNames: ["method", "route", "status"],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    registers: [registry]
+});
+
+const uploadSize = new client.Histogram({
+    name: "upload_size_bytes",
+    help: "Size of uploaded files, by form field",
+    labelNames: ["field"],
+    buckets: [10e3, 100e3, 500e3, 1e6, 2e6, 5e6, 10e6, 50e6],
+    registers: [registry]
+});
+
+const uploadFailures = new client.Counter({
+    name: "upload_failures_total",
+    help: "Uploads that were refused, e.g. LIMIT_FILE_SIZE or invalid_image",
+    labelNames: ["reason"],
+    registers: [registry]
+});
+
+// Only these form fields get their own label; anything else is counted as "other",
+// so a client can't create a new time series for every made-up field name
+const UPLOAD_FIELDS = ["profileImage", "attachments", "dataFile", "imagesZip"];
+
+function observeUpload(field, bytes) {
+    uploadSize.observe({ field: UPLOAD_FIELDS.includes(field) ? field : "other" }, bytes);
+}
+
+// Every file multer read for a request (req.files)
+function observeUploads(files) {
+    for (const file of files || []) {
+        observeUpload(file.fieldname, file.size);
+    }
+}
+
+function recordUploadFailure(reason) {
+    uploadFailures.inc({ reason });
+}
+
+// The route pattern (e.g. /editUser/:id) rather than the URL, so every user doesn't get a time series of their own
+function routeLabel(req, res) {
+    if (req.route) {
+        return `${req.baseUrl}${req.route.path}`;
+    }
+    return res.statusCode === 404 ? "unmatched" : "middleware";
+}
+
+// Counts and times every request
+function metricsMiddleware() {
+    return (req, res, next) => {
+        const stopTimer = httpRequestDuration.startTimer();
+        res.on("finish", () => {
+            const labels = { method: req.method, route: routeLabel(req, res), status: res.statusCode };
+            httpRequests.inc(labels);
+            stopTimer(labels);
+        });
+        next();
+    };
+}
+
+// The knex whose pool is reported - set with observeDbPool()
+let poolKnex = null;
+
+function currentPool() {
+    return poolKnex && poolKnex.client.pool;
+}
+
+new client.Gauge({
+    name: "db_pool_connections",
+    help: "Database pool connections by state (used, free, pending_acquires, pending_creates)",
+    labelNames: ["state"],
+    registers: [registry],
+    collect() {
+        const pool = currentPool();
+        if (!pool) {
+            return;
+        }
+        this.set({ state: "used" }, pool.numUsed());
+        this.set({ state: "free" }, pool.numFree());
+        this.set({ state: "pending_acquires" }, pool.numPendingAcquires());
+        this.set({ state: "pending_creates" }, pool.numPendingCreates());
+    }
+});
+
+new client.Gauge({
+    name: "db_pool_max_connections",
+    help: "Most connections the database pool will open",
+    registers: [registry],
+    collect() {
+        const pool = currentPool();
+        if (pool) {
+            this.set(pool.max);
+        }
+    }
+});
+
+// Report this knex's connection pool on /metrics (read whenever /metrics is loaded)
+function observeDbPool(knex) {
+    poolKnex = knex;
+}
+
+module.exports = {
+    registry,
+    observeUpload,
+    observeUploads,
+    recordUploadFailure,
+    metricsMiddleware,
+    observeDbPool
+};
@@ -0,0 +1,68 @@
+// Sends messages to users, such as password reset links.
+// Like the storage drivers, every notifier has the same operation so the routes never need to know how
+// messages are delivered:
+//   send({ type, user, subject, text, link }) - deliver one message to user ({ id, username })
+// There is no email yet, so the built-in notifiers are for running the app locally:
+//   console - prints the message to the terminal (the default)
+//   file    - appends it as a JSON line to a file, e.g. notifications.log
+//   memory  - keeps messages in notifier.sent (used by the tests)
+// An email or SMS notifier only needs a send() that does the same, plus an entry in notifiers below.
+
+const fs = require("fs");
+const path = require("path");
+const { NOTIFIERS } = require("./config");
+
+function createConsoleNotifier(options = {}) {
+    const stream = options.stream || process.stdout;
+
+    async function send(message) {
+        stream.write(`\n--- ${message.subject} (to ${message.user.username}) ---\n${message.text}\n\n`);
+    }
+
+    return { name: "console", send };
+}
+
+function createFileNotifier(options) {
+    if (!options.file) {
+        throw new Error("The file notifier needs a file to write to (NOTIFIER_FILE)");
+    }
+    const file = path.resolve(options.file);
+
+    async function send(message) {
+        const { user, ...content } = message;
+        const entry = { time: new Date().toISOString(), to: user.username, ...content };
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    }
+
+    return { name: "file", file, send };
+}
+
+function createMemoryNotifier() {
+    const sent = [];
+
+    async function send(message) {
+        sent.push(message);
+    }
+
+    return { name: "memory", sent, send };
+}
+
+const notifiers = {
+    console: createConsoleNotifier,
+    file: createFileNotifier,
+    memory: createMemoryNotifier
+};
+
+// Build the notifier named in options.driver ("console", "file" or "memory").
+// NOTIFIER and NOTIFIER_FILE are read by lib/config.js (config.notifier)
+function createNotifier(options = {}) {
+    const driver = options.driver || "console";
+    const factory = notifiers[driver];
+    if (!factory) {
+        throw new Error(`Unknown notifier "${driver}". Use one of: ${NOTIFIERS.join(", ")}`);
+    }
+    return factory(options);
+}
+
+module.exports = { createNotifier };
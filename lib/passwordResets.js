@@ -0,0 +1,71 @@
+// Password reset links: /reset-password?token=<token>
+// Each token works once and for RESET_TOKEN_LIFETIME_MINUTES. The database only keeps a SHA-256 hash
+// of it (like api_tokens), so someone who can read the table still can't reset anybody's password.
+// Asking for a new link cancels the older ones, and so does changing the password.
+
+const crypto = require("crypto");
+
+const RESET_TOKEN_LIFETIME_MINUTES = 60;
+
+function hashToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+// Returns { token, expiresAt } - the plain token only ever goes into the link sent to the user
+async function createPasswordResetToken(knex, userId) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_LIFETIME_MINUTES * 60 * 1000);
+
+    await knex.transaction(async (trx) => {
+        await cancelPasswordResets(trx, userId);
+        await trx("password_reset_tokens").insert({
+            user_id: userId,
+            token_hash: hashToken(token),
+            expires_at: expiresAt
+        });
+    });
+
+    return { token, expiresAt };
+}
+
+// The user ({ id, username }) a token can reset, or undefined if it is unknown, used or expired
+async function findPasswordResetUser(knex, token) {
+    if (typeof token !== "string" || !token) {
+        return undefined;
+    }
+    return knex("password_reset_tokens")
+        .join("users", "users.id", "password_reset_tokens.user_id")
+        .select("users.id", "users.username", "users.role")
+        .where("password_reset_tokens.token_hash", hashToken(token))
+        .whereNull("password_reset_tokens.used_at")
+        .andWhere("password_reset_tokens.expires_at", ">", new Date())
+        .first();
+}
+
+// Marks the token used and returns its user id, or undefined if it was already used or has expired.
+// The check and the update are one statement, so two requests can't both use the same link
+async function usePasswordResetToken(db, token) {
+    const [row] = await db("password_reset_tokens")
+        .where({ token_hash: hashToken(token) })
+        .whereNull("used_at")
+        .andWhere("expires_at", ">", new Date())
+        .update({ used_at: db.fn.now() })
+        .returning("user_id");
+    return row ? row.user_id : undefined;
+}
+
+// Deletes every link that hasn't been used yet, e.g. after the password was changed
+function cancelPasswordResets(db, userId) {
+    return db("password_reset_tokens")
+        .where({ user_id: userId })
+        .whereNull("used_at")
+        .del();
+}
+
+module.exports = {
+    RESET_TOKEN_LIFETIME_MINUTES,
+    createPasswordResetToken,
+    findPasswordResetUser,
+    usePasswordResetToken,
+    cancelPasswordResets
+};
@@ -0,0 +1,62 @@
+// Password hashing with scrypt from node:crypto
+// Stored hashes look like: scrypt$16384$8$1$<salt>$<hash>  (salt and hash are base64)
+// The cost settings are saved with each hash, so they can be raised later without breaking old passwords
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+const PREFIX = "scrypt";
+const COST = 16384; // N - CPU/memory cost
+const BLOCK_SIZE = 8; // r
+const PARALLELISM = 1; // p
+const KEY_LENGTH = 64;
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+    return [PREFIX, COST, BLOCK_SIZE, PARALLELISM, salt.toString("base64"), hash.toString("base64")].join("$");
+}
+
+// Rows created before hashing was added still hold the plain password
+function isHashed(stored) {
+    return typeof stored === "string" && stored.startsWith(`${PREFIX}$`);
+}
+
+// Compare without leaking how many characters matched
+function safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+async function verifyPassword(password, stored) {
+    if (typeof password !== "string" || typeof stored !== "string") {
+        return false;
+    }
+
+    if (!isHashed(stored)) {
+        return safeEqual(password, stored);
+    }
+
+    const [, cost, blockSize, parallelism, salt, hash] = stored.split("$");
+    const expected = Buffer.from(hash, "base64");
+    const actual = await scrypt(password, Buffer.from(salt, "base64"), expected.length, {
+        N: Number(cost),
+        r: Number(blockSize),
+        p: Number(parallelism)
+    });
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+// True when a stored password should be replaced with a fresh hash after a successful login
+function needsRehash(stored) {
+    if (!isHashed(stored)) {
+        return true;
+    }
+    const [, cost, blockSize, parallelism] = stored.split("$");
+    return Number(cost) !== COST || Number(blockSize) !== BLOCK_SIZE || Number(parallelism) !== PARALLELISM;
+}
+
+module.exports = { hashPassword, verifyPassword, isHashed, needsRehash };
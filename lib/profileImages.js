@@ -0,0 +1,256 @@
+// Profile picture handling shared by the web pages and the JSON API:
+// saving uploads, direct-to-S3 uploads, the history of past pictures and queueing pictures for deletion
+//
+// Replacing a picture doesn't delete the old one. Every upload gets a row in profile_images, and a user
+// can restore any picture still in their history. Only the historyLimit most recently used pictures are
+// kept - older ones are pruned and their files queued for deletion.
+
+const { uploadKey } = require("./storage");
+const { InvalidImageError, storeProfileImage, thumbnailKey, imageVariantKeys } = require("./images");
+const { queueStorageDeletions } = require("./storageDeletions");
+const { observeUpload, recordUploadFailure } = require("./metrics");
+const { recordProfileImageChange } = require("./auditLog");
+const { NotFoundError, ConflictError } = require("./errors");
+const { DEFAULT_HISTORY_LIMIT } = require("./config");
+
+// Largest profile picture we accept - used for uploads through the app and direct-to-S3 uploads
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024; // 5MB limit
+
+// Image types the browser may upload straight to S3
+const ALLOWED_IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+
+// Where direct-to-S3 uploads land before they are processed
+const INCOMING_PREFIX = "uploads/incoming/";
+
+// options.historyLimit - how many pictures to keep per user (default DEFAULT_HISTORY_LIMIT)
+function createProfileImages(storage, { historyLimit = DEFAULT_HISTORY_LIMIT } = {}) {
+    // Check the file really is an image, strip its metadata and save the avatar and thumbnail.
+    // Returns { key, size, contentType, versionId, thumbnailVersionId } (see storeProfileImage in lib/images.js);
+    // key is what goes in users.profile_image
+    // Pictures that aren't really images are counted in upload_failures_total (see lib/metrics.js)
+    async function saveProfileImage(buffer) {
+        try {
+            return await storeProfileImage(storage, buffer);
+        } catch (err) {
+            recordUploadFailure(err instanceof InvalidImageError ? "invalid_image" : "storage_error");
+            throw err;
+        }
+    }
+
+    // imageKey is the storage key saved in users.profile_image (e.g. uploads/<id>/avatar.jpg).
+    // Queues the picture and its thumbnail for deletion by the storage deletion worker.
+    // Pass the transaction that removes the key from the database, so the files are only
+    // deleted if that change is saved
+    function queueProfileImageDeletion(db, imageKey, reason) {
+        return queueStorageDeletions(db, imageVariantKeys(imageKey), reason);
+    }
+
+    // Direct-to-S3 uploads, step 1: a presigned POST policy that only allows one image of an
+    // allowed type, up to MAX_UPLOAD_BYTES, under the incoming prefix
+    async function presignProfileImageUpload({ contentType, size, filename }) {
+        if (!ALLOWED_IMAGE_TYPES.includes(contentType)) {
+            throw new InvalidImageError(`Only these image types are allowed: ${ALLOWED_IMAGE_TYPES.join(", ")}`);
+        }
+        if (size && Number(size) > MAX_UPLOAD_BYTES) {
+            throw new InvalidImageError("The picture is larger than 5MB.");
+        }
+
+        // Keep only safe characters from the browser's file name
+        const safeName = String(filename || "image").replace(/[^\w.-]/g, "-");
+        const key = uploadKey(safeName, INCOMING_PREFIX.slice(0, -1));
+
+        const { url, fields } = await storage.presignedPost(key, {
+            keyPrefix: INCOMING_PREFIX,
+            contentType,
+            maxBytes: MAX_UPLOAD_BYTES
+        });
+        return { url, fields, key };
+    }
+
+    // Direct-to-S3 uploads, step 2: handle the key sent back by the browser.
+    // The raw file is checked and processed like any other upload, then removed.
+    // Returns the saved picture like saveProfileImage, or null if the key is not in the incoming prefix or nothing was uploaded there
+    async function processUploadedKey(key) {
+        if (typeof key !== "string" || !key.startsWith(INCOMING_PREFIX) || key.includes("..")) {
+            return null;
+        }
+
+        const object = await storage.head(key);
+        if (!object) {
+            return null;
+        }
+        // Direct uploads never pass through multer, so their size is recorded here
+        observeUpload("profileImage", object.size);
+
+        try {
+            if (object.size > MAX_UPLOAD_BYTES) {
+                throw new InvalidImageError("The picture is larger than 5MB.");
+            }
+            const { body } = await storage.get(key);
+            return await saveProfileImage(body);
+        } finally {
+            await storage.delete(key);
+        }
+    }
+
+    // Adds a picture from saveProfileImage or processUploadedKey to the user's history and prunes the oldest.
+    // Call it in the transaction that makes it the user's picture. uploadedBy is the logged-in user's id,
+    // which is an admin's when they change someone else's picture
+    async function recordProfileImageUpload(db, userId, image, uploadedBy) {
+        await db("profile_images").insert({
+            user_id: userId,
+            key: image.key,
+            size: image.size || null,
+            content_type: image.contentType || null,
+            version_id: image.versionId || null,
+            thumbnail_version_id: image.thumbnailVersionId || null,
+            uploaded_by: uploadedBy || null,
+            last_used_at: new Date()
+        });
+        await pruneProfileImages(db, userId, image.key);
+    }
+
+    // Keeps the historyLimit most recently used pictures (always including currentKey),
+    // removes the rest from the history and queues their files for deletion. Returns how many were pruned
+    async function pruneProfileImages(db, userId, currentKey) {
+        const images = await db("profile_images")
+            .select("id", "key")
+            .where({ user_id: userId })
+            .orderBy("last_used_at", "desc")
+            .orderBy("id", "desc");
+
+        const pruned = images.slice(historyLimit).filter((image) => image.key !== currentKey);
+        if (pruned.length === 0) {
+            return 0;
+        }
+        await db("profile_images").whereIn("id", pruned.map((image) => image.id)).del();
+
+        const shared = await keysUsedByOthers(db, userId, pruned.map((image) => image.key));
+        await queueStorageDeletions(
+            db,
+            pruned.filter((image) => !shared.has(image.key)).flatMap((image) => imageVariantKeys(image.key)),
+            `Pruned profile picture history of user ${userId}`
+        );
+        return pruned.length;
+    }
+
+    // Rows saved before every upload got its own folder can point several users at the same file
+    // (they were all named after the uploaded file, e.g. uploads/photo.jpg).
+    // Returns the keys among keys that another user's picture or history still uses, so they are never deleted
+    async function keysUsedByOthers(db, userId, keys) {
+        if (keys.length === 0) {
+            return new Set();
+        }
+        const pictures = await db("users")
+            .whereIn("profile_image", keys)
+            .whereNot("id", userId)
+            .pluck("profile_image");
+        const histories = await db("profile_images")
+            .whereIn("key", keys)
+            .whereNot("user_id", userId)
+            .pluck("key");
+        return new Set([...pictures, ...histories]);
+    }
+
+    // A user's pictures, most recently used first. uploaded_by_username is null when the uploader isn't known
+    function listProfileImages(db, userId) {
+        return db("profile_images")
+            .leftJoin("users as uploader", "uploader.id", "profile_images.uploaded_by")
+            .select("profile_images.*", "uploader.username as uploaded_by_username")
+            .where("profile_images.user_id", userId)
+            .orderBy("profile_images.last_used_at", "desc")
+            .orderBy("profile_images.id", "desc");
+    }
+
+    // Checks a picture from the history still has its files. When the bucket keeps versions, files that
+    // were deleted or overwritten are copied back from the versions saved at upload time.
+    // Returns false when they are gone for good
+    async function ensureProfileImageStored(image) {
+        if (await storage.head(image.key)) {
+            return true;
+        }
+        if (!image.version_id || !storage.restoreVersion) {
+            return false;
+        }
+        await storage.restoreVersion(image.key, image.version_id);
+        if (image.thumbnail_version_id) {
+            await storage.restoreVersion(thumbnailKey(image.key), image.thumbnail_version_id);
+        }
+        return true;
+    }
+
+    // Makes a picture from the user's history their picture again, with an audit row.
+    // Returns { before, after } (the old and new keys). Throws NotFoundError for an unknown user or picture
+    // and ConflictError when the picture's files are gone
+    async function restoreProfileImage(knex, req, userId, imageId) {
+        const image = await knex("profile_images").where({ id: imageId, user_id: userId }).first();
+        if (!image) {
+            throw new NotFoundError("Picture not found.");
+        }
+        // Storage is checked before the transaction, so no rows stay locked while S3 answers
+        if (!(await ensureProfileImageStored(image))) {
+            throw new ConflictError("That picture is no longer in storage.");
+        }
+
+        return knex.transaction(async (trx) => {
+            const user = await trx("users")
+                .select("id", "profile_image")
+                .where({ id: userId })
+                .forUpdate()
+                .first();
+            // The picture may have been pruned by an upload since it was looked up
+            const stillKept = await trx("profile_images").where({ id: image.id }).forUpdate().first();
+            if (!user || !stillKept) {
+                throw new NotFoundError(user ? "Picture not found." : "User not found.");
+            }
+
+            await trx("users").where({ id: user.id }).update({ profile_image: image.key });
+            await trx("profile_images").where({ id: image.id }).update({ last_used_at: new Date() });
+            await recordProfileImageChange(trx, req, user.id, user.profile_image, image.key);
+            return { before: user.profile_image, after: image.key };
+        });
+    }
+
+    // Queues every picture in a user's history for deletion, for when the user is deleted.
+    // Files another user still uses are left alone.
+    // Call it before the user's row is deleted, because the history rows are deleted with it
+    async function queueUserProfileImagesDeletion(db, user, reason) {
+        const keys = new Set(await db("profile_images").where({ user_id: user.id }).pluck("key"));
+        if (user.profile_image) {
+            keys.add(user.profile_image);
+        }
+        const shared = await keysUsedByOthers(db, user.id, [...keys]);
+        await queueStorageDeletions(db, [...keys].filter((key) => !shared.has(key)).flatMap((key) => imageVariantKeys(key)), reason);
+    }
+
+    function imageUrl(key) {
+        return key ? storage.url(key) : "";
+    }
+
+    function thumbnailUrl(key) {
+        return key ? storage.url(thumbnailKey(key)) : "";
+    }
+
+    return {
+        directUploads: Boolean(storage.directUploads),
+        historyLimit,
+        saveProfileImage,
+        queueProfileImageDeletion,
+        recordProfileImageUpload,
+        pruneProfileImages,
+        listProfileImages,
+        restoreProfileImage,
+        queueUserProfileImagesDeletion,
+        presignProfileImageUpload,
+        processUploadedKey,
+        imageUrl,
+        thumbnailUrl
+    };
+}
+
+module.exports = {
+    MAX_UPLOAD_BYTES,
+    ALLOWED_IMAGE_TYPES,
+    INCOMING_PREFIX,
+    createProfileImages
+};
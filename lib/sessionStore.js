@@ -0,0 +1,69 @@
+// The PostgreSQL session store, made safe for when the database is down
+//
+// connect-session-knex passes errors to express-session's callback *and* rejects the promise it returns.
+// express-session never looks at that promise, so while PostgreSQL was unreachable the first page view
+// crashed the whole process with an unhandled rejection. This store only reports errors through the callback,
+// so the request gets a 500 page and the server keeps running.
+//
+// It also doesn't stay broken when the database was down at startup: the library checks the sessions table
+// once, and if that check failed every later call failed too, even after the database came back.
+
+const { ConnectSessionKnexStore } = require("connect-session-knex");
+const { logger } = require("./logger");
+
+// The error has already gone to the callback - stop it from also becoming an unhandled rejection
+function ignoreRejection(promise) {
+    promise.catch(() => {});
+}
+
+class SessionStore extends ConnectSessionKnexStore {
+    // options are those of connect-session-knex, plus log (default: the app logger)
+    constructor(options) {
+        super(options);
+        const log = options.log || logger;
+
+        // The sessions table comes from a migration, so carry on without the startup check
+        // and let each call fail (and recover) on its own
+        this.ready = this.ready.catch((err) => {
+            log.error("Unable to prepare the sessions table", { err });
+            if (this.options.cleanupInterval > 0) {
+                this.nextDbCleanup = setTimeout(() => this.dbCleanup(), this.options.cleanupInterval).unref();
+            }
+        });
+    }
+
+    get(sid, callback) {
+        ignoreRejection(super.get(sid, callback));
+    }
+
+    set(sid, session, callback) {
+        ignoreRejection(super.set(sid, session, callback));
+    }
+
+    destroy(sid, callback) {
+        ignoreRejection(super.destroy(sid, callback));
+    }
+
+    length(callback) {
+        ignoreRejection(super.length(callback));
+    }
+
+    clear(callback) {
+        ignoreRejection(super.clear(callback));
+    }
+
+    all(callback) {
+        ignoreRejection(super.all(callback));
+    }
+
+    // The library's touch() doesn't pass errors to the callback at all
+    touch(sid, session, callback) {
+        super.touch(sid, session, callback).catch((err) => {
+            if (callback) {
+                callback(err);
+            }
+        });
+    }
+}
+
+module.exports = { SessionStore };
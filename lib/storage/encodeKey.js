@@ -0,0 +1,6 @@
+// Escape each path segment of a storage key for use in a URL (keeps the slashes)
+function encodeKey(key) {
+    return key.split("/").map(encodeURIComponent).join("/");
+}
+
+module.exports = { encodeKey };
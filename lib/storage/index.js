@@ -0,0 +1,47 @@
+// Storage backends for uploaded files
+// Every driver exposes the same operations so the rest of the app never needs to know where files live:
+//   put(key, body, meta)  - save a Buffer under a key like "uploads/photo-123.jpg"
+//   get(key)              - read it back ({ body, size, contentType } or null if missing)
+//   head(key)             - { size, contentType, lastModified } without the body, or null if missing
+//   delete(key)           - remove it (missing keys are not an error)
+//   list(prefix)          - [{ key, size, lastModified }] for every key starting with prefix
+//   url(key)              - the URL a browser can use to load the file
+//   checkHealth()         - rejects if the storage can't be reached or written to (used by /readyz)
+// The s3 driver also has signedUrl(key, expiresIn, headers) for presigned GET URLs,
+// presignedPost(key, options) for direct browser uploads and restoreVersion(key, versionId)
+// for buckets with versioning (put() then returns a versionId too)
+
+const path = require("path");
+const { createLocalDriver } = require("./localDriver");
+const { createS3Driver } = require("./s3Driver");
+const { createMemoryDriver } = require("./memoryDriver");
+const { STORAGE_DRIVERS } = require("../config");
+
+const drivers = {
+    local: createLocalDriver,
+    s3: createS3Driver,
+    memory: createMemoryDriver
+};
+
+// Build the driver named in options.driver ("local", "s3" or "memory")
+// STORAGE_DRIVER and the other settings are read by lib/config.js (config.storage)
+function createStorage(options) {
+    const factory = drivers[options.driver];
+    if (!factory) {
+        throw new Error(`Unknown storage driver "${options.driver}". Use one of: ${STORAGE_DRIVERS.join(", ")}`);
+    }
+    return factory(options);
+}
+
+// Generate a unique key with timestamp to avoid collisions
+function uploadKey(originalname, prefix = "uploads") {
+    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1E9);
+    const ext = path.extname(originalname);
+    const basename = path.basename(originalname, ext);
+    return `${prefix}/${basename}-${uniqueSuffix}${ext}`;
+}
+
+module.exports = {
+    createStorage,
+    uploadKey
+};
@@ -0,0 +1,126 @@
+// Local disk storage driver
+// Objects live as plain files under a root directory (images/ by default), so a key
+// like "uploads/photo.jpg" becomes images/uploads/photo.jpg and is served by app.js at /images/uploads/photo.jpg
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { encodeKey } = require("./encodeKey");
+
+function createLocalDriver(options) {
+    const root = path.resolve(options.root);
+    const baseUrl = (options.baseUrl || "/images").replace(/\/$/, "");
+
+    // Turn a storage key into a file path, refusing anything that escapes the root directory
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async function put(key, body, meta = {}) {
+        const filePath = resolveKey(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+        return { key, size: body.length, contentType: meta.contentType || null };
+    }
+
+    async function get(key) {
+        try {
+            const body = await fs.promises.readFile(resolveKey(key));
+            return { body, size: body.length, contentType: null };
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function head(key) {
+        try {
+            const stats = await fs.promises.stat(resolveKey(key));
+            return stats.isFile() ? { size: stats.size, contentType: null, lastModified: stats.mtime } : null;
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function remove(key) {
+        try {
+            await fs.promises.unlink(resolveKey(key));
+        } catch (error) {
+            // Deleting something that is already gone counts as success
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+    }
+
+    // Walk the directory tree under the prefix and report every file as a key
+    async function list(prefix = "") {
+        const results = [];
+
+        async function walk(dir) {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(dir, { withFileTypes: true });
+            } catch (error) {
+                if (error.code === "ENOENT") {
+                    return;
+                }
+                throw error;
+            }
+
+            for (const entry of entries) {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    await walk(fullPath);
+                } else if (entry.isFile()) {
+                    const key = path.relative(root, fullPath).split(path.sep).join("/");
+                    if (key.startsWith(prefix)) {
+                        const stats = await fs.promises.stat(fullPath);
+                        results.push({ key, size: stats.size, lastModified: stats.mtime });
+                    }
+                }
+            }
+        }
+
+        // Only walk the directory part of the prefix - the rest is matched by startsWith above
+        const prefixDir = prefix.includes("/") ? prefix.slice(0, prefix.lastIndexOf("/")) : "";
+        await walk(resolveKey(prefixDir));
+        return results;
+    }
+
+    function url(key) {
+        return `${baseUrl}/${encodeKey(key)}`;
+    }
+
+    // Write and remove a small file, to prove the directory exists and we are allowed to write to it
+    async function checkHealth() {
+        const probe = path.join(root, `.healthcheck-${crypto.randomUUID()}`);
+        await fs.promises.mkdir(root, { recursive: true });
+        await fs.promises.writeFile(probe, "ok");
+        await fs.promises.unlink(probe);
+    }
+
+    return {
+        name: "local",
+        root,
+        baseUrl,
+        put,
+        get,
+        head,
+        delete: remove,
+        list,
+        url,
+        checkHealth
+    };
+}
+
+module.exports = { createLocalDriver };
@@ -0,0 +1,73 @@
+// In-memory storage driver
+// Keeps objects in a Map for the life of the process - handy for tests and quick demos,
+// but everything is lost on restart so never use it for real data
+
+const { encodeKey } = require("./encodeKey");
+
+function createMemoryDriver(options = {}) {
+    const baseUrl = (options.baseUrl || "/images").replace(/\/$/, "");
+    const objects = new Map();
+
+    async function put(key, body, meta = {}) {
+        const buffer = Buffer.from(body);
+        objects.set(key, {
+            body: buffer,
+            size: buffer.length,
+            contentType: meta.contentType || null,
+            lastModified: new Date()
+        });
+        return { key, size: buffer.length, contentType: meta.contentType || null };
+    }
+
+    async function get(key) {
+        const object = objects.get(key);
+        if (!object) {
+            return null;
+        }
+        return { body: object.body, size: object.size, contentType: object.contentType };
+    }
+
+    async function head(key) {
+        const object = objects.get(key);
+        if (!object) {
+            return null;
+        }
+        return { size: object.size, contentType: object.contentType, lastModified: object.lastModified };
+    }
+
+    async function remove(key) {
+        objects.delete(key);
+    }
+
+    async function list(prefix = "") {
+        const results = [];
+        for (const [key, object] of objects) {
+            if (key.startsWith(prefix)) {
+                results.push({ key, size: object.size, lastModified: object.lastModified });
+            }
+        }
+        return results;
+    }
+
+    function url(key) {
+        return `${baseUrl}/${encodeKey(key)}`;
+    }
+
+    // Nothing can go wrong with a Map
+    async function checkHealth() {}
+
+    return {
+        name: "memory",
+        baseUrl,
+        objects,
+        put,
+        get,
+        head,
+        delete: remove,
+        list,
+        url,
+        checkHealth
+    };
+}
+
+module.exports = { createMemoryDriver };
@@ -0,0 +1,196 @@
+// AWS S3 storage driver
+// Works against real S3 or any S3-compatible server (MinIO, LocalStack, ...) when an endpoint is given.
+// When running on Elastic Beanstalk with an IAM role (like LabRole),
+// the SDK automatically uses the role's credentials - no need to specify them
+//
+// By default the bucket stays private: url(key) points at the app (/images/<key>), which
+// redirects to a short-lived presigned GET URL from signedUrl(). Set publicUrls to link
+// straight to the bucket instead (only works if the bucket allows public read)
+//
+// When the bucket has versioning turned on, put() returns the new object's versionId and
+// restoreVersion() can bring back an object that was overwritten or deleted
+
+const {
+    S3Client,
+    PutObjectCommand,
+    CopyObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    HeadBucketCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} = require("@aws-sdk/client-s3");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+const { createPresignedPost } = require("@aws-sdk/s3-presigned-post");
+const { encodeKey } = require("./encodeKey");
+
+function createS3Driver(options) {
+    if (!options.bucket) {
+        throw new Error("The s3 storage driver needs a bucket name (AWS_S3_BUCKET_NAME)");
+    }
+
+    const bucket = options.bucket;
+    const region = options.region;
+    const endpoint = options.endpoint ? options.endpoint.replace(/\/$/, "") : null;
+    // S3-compatible stand-ins usually only understand path-style URLs (http://host/bucket/key)
+    const forcePathStyle = options.forcePathStyle !== undefined ? options.forcePathStyle : Boolean(endpoint);
+
+    const clientConfig = { region, forcePathStyle };
+    if (endpoint) {
+        clientConfig.endpoint = endpoint;
+    }
+    const client = options.client || new S3Client(clientConfig);
+
+    const publicUrls = Boolean(options.publicUrls);
+    const baseUrl = (options.baseUrl || "/images").replace(/\/$/, "");
+    const presignExpiresIn = options.presignExpiresIn || 900; // seconds
+    // Let browsers upload straight to the bucket with presignedPost() instead of through the app
+    const directUploads = Boolean(options.directUploads);
+
+    // versionId is null unless the bucket has versioning turned on
+    async function put(key, body, meta = {}) {
+        const response = await client.send(new PutObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            Body: body,
+            ContentType: meta.contentType,
+            Metadata: meta.metadata
+        }));
+        return { key, size: body.length, contentType: meta.contentType || null, versionId: (response && response.VersionId) || null };
+    }
+
+    async function get(key) {
+        try {
+            const response = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+            const body = Buffer.from(await response.Body.transformToByteArray());
+            return { body, size: body.length, contentType: response.ContentType || null };
+        } catch (error) {
+            if (error.name === "NoSuchKey" || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function head(key) {
+        try {
+            const response = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+            return {
+                size: response.ContentLength,
+                contentType: response.ContentType || null,
+                lastModified: response.LastModified
+            };
+        } catch (error) {
+            if (error.name === "NotFound" || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async function remove(key) {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    }
+
+    // Copy an older version of an object over the current one, which also undoes a delete
+    // (with versioning, DeleteObject only hides the object behind a "delete marker").
+    // Needs s3:GetObjectVersion on the bucket
+    async function restoreVersion(key, versionId) {
+        await client.send(new CopyObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            CopySource: `${bucket}/${encodeKey(key)}?versionId=${encodeURIComponent(versionId)}`
+        }));
+    }
+
+    // ListObjectsV2 returns at most 1000 keys per call, so keep following the continuation token
+    async function list(prefix = "") {
+        const results = [];
+        let continuationToken;
+
+        do {
+            const response = await client.send(new ListObjectsV2Command({
+                Bucket: bucket,
+                Prefix: prefix,
+                ContinuationToken: continuationToken
+            }));
+
+            for (const object of response.Contents || []) {
+                results.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+            }
+
+            continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+        } while (continuationToken);
+
+        return results;
+    }
+
+    // The public URL of the bucket (without a trailing slash)
+    function origin() {
+        if (endpoint) {
+            return forcePathStyle ? `${endpoint}/${bucket}` : endpoint.replace("://", `://${bucket}.`);
+        }
+        return `https://${bucket}.s3.${region}.amazonaws.com`;
+    }
+
+    function url(key) {
+        return publicUrls ? `${origin()}/${encodeKey(key)}` : `${baseUrl}/${encodeKey(key)}`;
+    }
+
+    // A presigned GET URL that lets a browser read one object for expiresIn seconds.
+    // headers.contentType and headers.contentDisposition are signed into the URL, and S3 answers with them
+    function signedUrl(key, expiresIn = presignExpiresIn, headers = {}) {
+        const command = new GetObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ResponseContentType: headers.contentType,
+            ResponseContentDisposition: headers.contentDisposition
+        });
+        return getSignedUrl(client, command, { expiresIn });
+    }
+
+    // A presigned POST policy that lets a browser upload one file straight to the bucket.
+    // S3 rejects the upload unless the key, content type and size all match the policy
+    function presignedPost(key, options) {
+        return createPresignedPost(client, {
+            Bucket: bucket,
+            Key: key,
+            Conditions: [
+                ["starts-with", "$key", options.keyPrefix],
+                ["eq", "$Content-Type", options.contentType],
+                ["content-length-range", 1, options.maxBytes]
+            ],
+            Fields: { "Content-Type": options.contentType },
+            Expires: options.expiresIn || 300 // seconds
+        });
+    }
+
+    // HeadBucket fails if the bucket is missing, unreachable or our credentials can't use it
+    async function checkHealth() {
+        await client.send(new HeadBucketCommand({ Bucket: bucket }));
+    }
+
+    return {
+        name: "s3",
+        bucket,
+        region,
+        endpoint,
+        client,
+        publicUrls,
+        presignExpiresIn,
+        directUploads,
+        put,
+        get,
+        head,
+        delete: remove,
+        restoreVersion,
+        list,
+        url,
+        signedUrl,
+        presignedPost,
+        origin,
+        checkHealth
+    };
+}
+
+module.exports = { createS3Driver };
@@ -0,0 +1,130 @@
+// Reliable deletion of stored files, using an outbox table
+// Deleting a file straight from a route can fail (S3 is down, the disk is read-only), and then the
+// file is left behind forever. Instead, routes add the key to storage_deletions in the same transaction
+// as the database change - so the file is only deleted if the change is saved - and a worker deletes
+// the files in the background, retrying failures with a growing delay.
+
+const { logger } = require("./logger");
+
+// Give up after this many tries; the row stays as "failed" so someone can look into it
+const MAX_ATTEMPTS = 10;
+
+// Wait 30s, 1m, 2m, 4m, ... between tries, but never more than an hour
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+// db is knex or a transaction (trx); pass the transaction so the rows are only saved with the change
+async function queueStorageDeletions(db, keys, reason) {
+    const rows = keys.filter(Boolean).map((key) => ({ key, reason: reason || null }));
+    if (rows.length > 0) {
+        await db("storage_deletions").insert(rows);
+    }
+}
+
+// options.intervalMs - how often to look for files to delete (default 30 seconds)
+// options.batchSize  - how many files to handle each time (default 20)
+// options.log        - where deletes and failures are logged (default: the app logger, see lib/logger.js)
+function createDeletionWorker({ knex, storage, intervalMs = 30 * 1000, batchSize = 20, log = logger }) {
+    let timer = null;
+    let running = null;
+
+    // Delete one file and record how it went. Returns true when the file is gone
+    async function attempt(trx, deletion) {
+        const attempts = Number(deletion.attempts) + 1;
+        try {
+            await storage.delete(deletion.key);
+
+            await trx("storage_deletion_attempts").insert({ deletion_id: deletion.id, succeeded: true });
+            await trx("storage_deletions")
+                .where({ id: deletion.id })
+                .update({ status: "done", attempts, last_error: null, completed_at: knex.fn.now() });
+            log.info("Deleted storage object", { driver: storage.name, key: deletion.key });
+            return true;
+        } catch (error) {
+            const failed = attempts >= MAX_ATTEMPTS;
+
+            await trx("storage_deletion_attempts").insert({
+                deletion_id: deletion.id,
+                succeeded: false,
+                error: error.message
+            });
+            await trx("storage_deletions")
+                .where({ id: deletion.id })
+                .update({
+                    status: failed ? "failed" : "pending",
+                    attempts,
+                    last_error: error.message,
+                    next_attempt_at: new Date(Date.now() + retryDelay(attempts)),
+                    completed_at: failed ? knex.fn.now() : null
+                });
+            log.warn("Unable to delete storage object", {
+                driver: storage.name,
+                key: deletion.key,
+                attempt: attempts,
+                maxAttempts: MAX_ATTEMPTS,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    // Handle the files that are due now. Returns { deleted, failed }.
+    // FOR UPDATE SKIP LOCKED lets several copies of the app run workers without deleting the same file twice
+    async function runOnce() {
+        return knex.transaction(async (trx) => {
+            const due = await trx("storage_deletions")
+                .where({ status: "pending" })
+                .andWhere("next_attempt_at", "<=", new Date())
+                .orderBy("id")
+                .limit(batchSize)
+                .forUpdate()
+                .skipLocked();
+
+            const result = { deleted: 0, failed: 0 };
+            for (const deletion of due) {
+                if (await attempt(trx, deletion)) {
+                    result.deleted++;
+                } else {
+                    result.failed++;
+                }
+            }
+            return result;
+        });
+    }
+
+    function tick() {
+        // Skip this tick if the last run is still going
+        if (running) {
+            return;
+        }
+        running = runOnce()
+            .catch((err) => log.error("Storage deletion worker failed", { err }))
+            .finally(() => {
+                running = null;
+            });
+    }
+
+    function start() {
+        if (!timer) {
+            timer = setInterval(tick, intervalMs);
+            // Don't keep the process alive just for the worker
+            timer.unref();
+            tick();
+        }
+    }
+
+    // Stops the timer and waits for a run in progress to finish
+    async function stop() {
+        clearInterval(timer);
+        timer = null;
+        await running;
+    }
+
+    return { runOnce, start, stop };
+}
+
+module.exports = { MAX_ATTEMPTS, queueStorageDeletions, createDeletionWorker };
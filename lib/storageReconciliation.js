@@ -0,0 +1,93 @@
+// Compare the files in storage with the keys saved in the database
+// Orphans are stored files that no user, picture history or hobby attachment points at (left behind by crashes,
+// failed deletes or direct uploads that were never confirmed). Dangling references are users whose picture file,
+// or attachments whose file, is missing.
+
+const { imageVariantKeys } = require("./images");
+const { ATTACHMENT_PREFIX } = require("./hobbyAttachments");
+
+// Profile pictures live under uploads/ and hobby attachments under attachments/ - nothing else in the bucket is touched
+const UPLOAD_PREFIX = "uploads/";
+const STORED_PREFIXES = [UPLOAD_PREFIX, ATTACHMENT_PREFIX];
+
+// options.prefixes - where to look (default uploads/ and attachments/)
+// options.graceMs - orphans younger than this are reported but not marked for deletion, because an upload
+//                   may still be on its way into the database (default 24 hours)
+async function reconcileStorage({ knex, storage, prefixes = STORED_PREFIXES, graceMs = 24 * 60 * 60 * 1000 }) {
+    const objects = [];
+    for (const prefix of prefixes) {
+        objects.push(...await storage.list(prefix));
+    }
+    const stored = new Map(objects.map((object) => [object.key, object]));
+
+    // Every key the database points at, including the thumbnail next to each avatar
+    const users = await knex("users")
+        .select("id", "profile_image")
+        .whereNotNull("profile_image");
+
+    const isListed = (key) => prefixes.some((prefix) => key.startsWith(prefix));
+    const referenced = new Set();
+    const dangling = [];
+    for (const user of users) {
+        for (const key of imageVariantKeys(user.profile_image)) {
+            referenced.add(key);
+            if (isListed(key) && !stored.has(key)) {
+                dangling.push({ userId: user.id, key });
+            }
+        }
+    }
+
+    // Earlier pictures kept so they can be restored (see lib/profileImages.js) aren't orphans either
+    const history = await knex("profile_images").select("key");
+    for (const image of history) {
+        for (const key of imageVariantKeys(image.key)) {
+            referenced.add(key);
+        }
+    }
+
+    // Every attachment points at one file (no thumbnails)
+    const attachments = await knex("hobby_attachments").select("id", "key");
+    for (const attachment of attachments) {
+        referenced.add(attachment.key);
+        if (isListed(attachment.key) && !stored.has(attachment.key)) {
+            dangling.push({ attachmentId: attachment.id, key: attachment.key });
+        }
+    }
+
+    // Files already waiting in the deletion outbox are on their way out
+    const queued = new Set(
+        (await knex("storage_deletions").select("key").where({ status: "pending" })).map((row) => row.key)
+    );
+
+    const cutoff = Date.now() - graceMs;
+    const orphans = [];
+    for (const object of objects) {
+        if (referenced.has(object.key)) {
+            continue;
+        }
+        const lastModified = object.lastModified ? new Date(object.lastModified) : null;
+        orphans.push({
+            key: object.key,
+            size: object.size,
+            lastModified,
+            queued: queued.has(object.key),
+            // Files without a known age count as old
+            pastGracePeriod: !lastModified || lastModified.getTime() < cutoff
+        });
+    }
+
+    return {
+        prefixes,
+        objectCount: objects.length,
+        referenceCount: referenced.size,
+        orphans,
+        dangling
+    };
+}
+
+// The orphans that may be deleted: past the grace period and not already queued
+function deletableOrphans(report) {
+    return report.orphans.filter((orphan) => orphan.pastGracePeriod && !orphan.queued);
+}
+
+module.exports = { UPLOAD_PREFIX, STORED_PREFIXES, reconcileStorage, deletableOrphans };
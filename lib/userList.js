@@ -0,0 +1,116 @@
+// Searching, filtering, sorting and paging the user list
+// Everything comes from the query string (e.g. /users?q=gre&sort=username&dir=desc&page=2)
+// so any view of the list can be bookmarked or shared. Used by GET /users and GET /api/v1/users
+
+const { parsePagination } = require("./validation");
+
+const DEFAULT_PAGE_SIZE = 20;
+
+// Columns the list can be sorted by - anything else in ?sort= falls back to the default
+const SORT_COLUMNS = {
+    username: "users.username",
+    id: "users.id"
+};
+
+function nonNegativeInt(value) {
+    return /^\d+$/.test(String(value)) ? Number(value) : null;
+}
+
+// Turn the raw query string into clean options. Unknown or invalid values are ignored
+// defaults.sort - the column used when ?sort= is missing (default "username")
+function parseUserListQuery(query, defaults = {}) {
+    const { page, limit, offset } = parsePagination(query, { limit: DEFAULT_PAGE_SIZE, ...defaults });
+    const defaultSort = defaults.sort || "username";
+
+    return {
+        q: typeof query.q === "string" ? query.q.trim().slice(0, 255) : "",
+        sort: Object.hasOwn(SORT_COLUMNS, query.sort) ? query.sort : defaultSort,
+        dir: query.dir === "desc" ? "desc" : "asc",
+        // "yes" = only users with a profile picture, "no" = only users without one
+        hasImage: ["yes", "no"].includes(query.hasImage) ? query.hasImage : "",
+        minHobbies: nonNegativeInt(query.minHobbies),
+        maxHobbies: nonNegativeInt(query.maxHobbies),
+        page,
+        limit,
+        offset
+    };
+}
+
+// % and _ are wildcards in LIKE, so a search for "a_b" has to escape them
+function escapeLike(text) {
+    return text.replace(/[\\%_]/g, (char) => `\\${char}`);
+}
+
+// Returns { users, total }. Each user has id, username, role, profile_image and hobby_count
+async function listUsers(knex, options) {
+    // Hobby counts per user, joined in so they can be filtered on and shown in the list
+    const hobbyCounts = knex("hobbies")
+        .select("user_id")
+        .count("id as hobby_count")
+        .groupBy("user_id")
+        .as("hobby_counts");
+    const hobbyCount = knex.raw("COALESCE(hobby_counts.hobby_count, 0)");
+
+    const query = knex("users").leftJoin(hobbyCounts, "hobby_counts.user_id", "users.id");
+
+    if (options.q) {
+        query.whereILike("users.username", `%${escapeLike(options.q)}%`);
+    }
+    if (options.hasImage === "yes") {
+        query.whereNotNull("users.profile_image");
+    } else if (options.hasImage === "no") {
+        query.whereNull("users.profile_image");
+    }
+    if (options.minHobbies !== null && options.minHobbies !== undefined) {
+        query.where(hobbyCount, ">=", options.minHobbies);
+    }
+    if (options.maxHobbies !== null && options.maxHobbies !== undefined) {
+        query.where(hobbyCount, "<=", options.maxHobbies);
+    }
+
+    const [{ count }] = await query.clone().count("users.id as count");
+
+    const users = await query
+        .select(
+            "users.id",
+            "users.username",
+            "users.role",
+            "users.profile_image",
+            knex.raw("CAST(COALESCE(hobby_counts.hobby_count, 0) AS INTEGER) AS hobby_count")
+        )
+        .orderBy(SORT_COLUMNS[options.sort], options.dir)
+        // Ties (only possible when sorting by username) keep a stable order between pages
+        .orderBy("users.id", options.dir)
+        .limit(options.limit)
+        .offset(options.offset);
+
+    return { users, total: Number(count) };
+}
+
+// The query string for the list with some options changed, e.g. listQueryString(options, { page: 2 }).
+// Options left at their defaults are left out so links stay short
+function listQueryString(options, changes = {}) {
+    const merged = { ...options, ...changes };
+    const params = new URLSearchParams();
+
+    const values = {
+        q: merged.q,
+        sort: merged.sort,
+        dir: merged.dir === "desc" ? "desc" : null,
+        hasImage: merged.hasImage,
+        minHobbies: merged.minHobbies,
+        maxHobbies: merged.maxHobbies,
+        page: merged.page > 1 ? merged.page : null,
+        limit: merged.limit && merged.limit !== DEFAULT_PAGE_SIZE ? merged.limit : null
+    };
+    for (const [name, value] of Object.entries(values)) {
+        if (value !== null && value !== undefined && value !== "") {
+            params.set(name, value);
+        }
+    }
+
+    const queryString = params.toString();
+    return queryString ? `?${queryString}` : "";
+}
+
+module.exports = { SORT_COLUMNS, parseUserListQuery, listUsers, listQueryString };
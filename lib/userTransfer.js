@@ -0,0 +1,358 @@
+// Bulk export and import of users and their hobbies, as CSV or JSON
+//
+// CSV has one row per hobby (users without hobbies get one row with the hobby columns empty):
+//   username,role,password,hobby_description,date_learned,category
+// JSON looks like:
+//   { "users": [ { "username": "...", "role": "member", "password": "...",
+//                  "hobbies": [ { "description": "...", "dateLearned": "2024-01-31", "category": "Music" } ] } ] }
+//
+// Exports never contain passwords. On import the password is optional - users without one get a random
+// password, shown once on the results page. Profile pictures can come along in a zip with one image
+// per user, named after the username (e.g. greg.jpg).
+// An import is all or nothing: every row is checked first, and if any row has a problem nothing is saved.
+
+const path = require("path");
+const crypto = require("crypto");
+const AdmZip = require("adm-zip");
+const { parse: parseCsv } = require("csv-parse/sync");
+const { stringify: stringifyCsv } = require("csv-stringify/sync");
+const { hashPassword } = require("./passwords");
+const { InvalidImageError } = require("./images");
+const { MAX_UPLOAD_BYTES } = require("./profileImages");
+const { listCategories, dateOnly } = require("./hobbies");
+const { validateUser, validateHobby } = require("./validation");
+const { auditUser, recordAudit, recordProfileImageChange } = require("./auditLog");
+
+const CSV_COLUMNS = ["username", "role", "password", "hobby_description", "date_learned", "category"];
+
+// Most profile pictures accepted in one zip
+const MAX_ZIP_IMAGES = 1000;
+
+// Thrown for files that can't be read at all (not CSV/JSON, not a zip)
+class ImportFormatError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImportFormatError";
+    }
+}
+
+// ---- Export ----
+
+// Every user with their hobbies, in the JSON export shape
+async function exportUsers(knex) {
+    const users = await knex("users")
+        .select("id", "username", "role", "profile_image")
+        .orderBy("username");
+    const hobbies = await knex("hobbies")
+        .leftJoin("hobby_categories", "hobby_categories.id", "hobbies.category_id")
+        .select("hobbies.user_id", "hobbies.hobby_description", "hobbies.date_learned", "hobby_categories.name as category")
+        .orderBy("hobbies.date_learned")
+        .orderBy("hobbies.id");
+
+    return users.map((user) => ({
+        username: user.username,
+        role: user.role,
+        hasProfileImage: Boolean(user.profile_image),
+        hobbies: hobbies
+            .filter((hobby) => hobby.user_id === user.id)
+            .map((hobby) => ({
+                description: hobby.hobby_description,
+                dateLearned: dateOnly(hobby.date_learned),
+                category: hobby.category || null
+            }))
+    }));
+}
+
+function usersToJson(users) {
+    return JSON.stringify({ exportedAt: new Date().toISOString(), users }, null, 2);
+}
+
+function usersToCsv(users) {
+    const rows = [];
+    for (const user of users) {
+        const hobbies = user.hobbies.length > 0 ? user.hobbies : [null];
+        for (const hobby of hobbies) {
+            rows.push({
+                username: user.username,
+                role: user.role,
+                password: "",
+                hobby_description: hobby ? hobby.description : "",
+                date_learned: hobby ? hobby.dateLearned : "",
+                category: hobby && hobby.category ? hobby.category : ""
+            });
+        }
+    }
+    return stringifyCsv(rows, { header: true, columns: CSV_COLUMNS });
+}
+
+// A zip with each user's profile picture as <username>.jpg - the same layout the import accepts
+async function profileImagesZip(knex, storage) {
+    const users = await knex("users")
+        .select("username", "profile_image")
+        .whereNotNull("profile_image")
+        .orderBy("username");
+
+    const zip = new AdmZip();
+    for (const user of users) {
+        const object = await storage.get(user.profile_image);
+        if (object) {
+            zip.addFile(`${user.username}${path.extname(user.profile_image) || ".jpg"}`, object.body);
+        }
+    }
+    return zip.toBuffer();
+}
+
+// ---- Import ----
+
+function text(value) {
+    return value === undefined || value === null ? "" : String(value).trim();
+}
+
+// Turn an uploaded CSV or JSON file into a list of users, each with a "where" label for error messages
+function parseImportFile(buffer) {
+    const content = buffer.toString("utf8").replace(/^\uFEFF/, "");
+    return /^\s*[[{]/.test(content) ? parseJsonImport(content) : parseCsvImport(content);
+}
+
+function parseJsonImport(content) {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (err) {
+        throw new ImportFormatError(`The file is not valid JSON: ${err.message}`);
+    }
+
+    const users = Array.isArray(data) ? data : data.users;
+    if (!Array.isArray(users)) {
+        throw new ImportFormatError("The JSON file must have a \"users\" list.");
+    }
+
+    return users.map((user, index) => {
+        const where = `User ${index + 1}`;
+        const hobbies = user && Array.isArray(user.hobbies) ? user.hobbies : [];
+        return {
+            where,
+            username: text(user && user.username),
+            role: text(user && user.role),
+            password: user && typeof user.password === "string" ? user.password : "",
+            hobbies: hobbies.map((hobby, hobbyIndex) => ({
+                where: `${where}, hobby ${hobbyIndex + 1}`,
+                description: text(hobby && hobby.description),
+                dateLearned: text(hobby && hobby.dateLearned),
+                category: text(hobby && hobby.category)
+            }))
+        };
+    });
+}
+
+function parseCsvImport(content) {
+    let rows;
+    try {
+        rows = parseCsv(content, { columns: true, info: true, skip_empty_lines: true, trim: true });
+    } catch (err) {
+        throw new ImportFormatError(`The file is not valid CSV: ${err.message}`);
+    }
+    if (rows.length > 0 && !Object.hasOwn(rows[0].record, "username")) {
+        throw new ImportFormatError(`The CSV file needs a header row with these columns: ${CSV_COLUMNS.join(", ")}`);
+    }
+
+    // Rows for the same username belong to one user; the first row supplies the role and password
+    const users = new Map();
+    for (const { record, info } of rows) {
+        const where = `Line ${info.lines}`;
+        const username = text(record.username);
+        const key = username || where;
+        if (!users.has(key)) {
+            users.set(key, { where, username, role: text(record.role), password: record.password || "", hobbies: [] });
+        }
+
+        const hobby = {
+            where,
+            description: text(record.hobby_description),
+            dateLearned: text(record.date_learned),
+            category: text(record.category)
+        };
+        if (hobby.description || hobby.dateLearned || hobby.category) {
+            users.get(key).hobbies.push(hobby);
+        }
+    }
+    return [...users.values()];
+}
+
+// Read the optional zip of profile pictures into a Map of username -> image buffer
+function readImagesZip(buffer) {
+    let zip;
+    try {
+        zip = new AdmZip(buffer);
+    } catch (err) {
+        throw new ImportFormatError("The profile picture file is not a valid zip file.");
+    }
+
+    const entries = zip.getEntries().filter((entry) => !entry.isDirectory && !path.basename(entry.entryName).startsWith("."));
+    if (entries.length > MAX_ZIP_IMAGES) {
+        throw new ImportFormatError(`The zip can hold at most ${MAX_ZIP_IMAGES} pictures.`);
+    }
+
+    const images = new Map();
+    for (const entry of entries) {
+        const username = path.basename(entry.entryName, path.extname(entry.entryName));
+        // The size is checked before unpacking, so a small zip can't unpack into something huge
+        images.set(username, entry.header.size > MAX_UPLOAD_BYTES ? null : entry.getData());
+    }
+    return images;
+}
+
+// Check every user and hobby. Returns a list of { where, field, message } - empty when everything is valid
+async function validateImport(knex, users, images) {
+    const errors = [];
+    const categories = await listCategories(knex);
+    const categoryIds = new Map(categories.map((category) => [category.name.toLowerCase(), category.id]));
+
+    const usernames = users.map((user) => user.username).filter(Boolean);
+    const taken = new Set(
+        (await knex("users").select("username").whereIn("username", usernames)).map((row) => row.username)
+    );
+    const seen = new Set();
+
+    for (const user of users) {
+        const { values, errors: userErrors } = validateUser(user);
+        for (const [field, message] of Object.entries(userErrors)) {
+            errors.push({ where: user.where, field, message });
+        }
+        if (values.username && taken.has(values.username)) {
+            errors.push({ where: user.where, field: "username", message: `A user named ${values.username} already exists.` });
+        }
+        if (values.username && seen.has(values.username)) {
+            errors.push({ where: user.where, field: "username", message: `${values.username} appears more than once in the file.` });
+        }
+        seen.add(values.username);
+        user.values = values;
+
+        for (const hobby of user.hobbies) {
+            let categoryId = "";
+            if (hobby.category) {
+                categoryId = categoryIds.get(hobby.category.toLowerCase());
+                if (!categoryId) {
+                    errors.push({ where: hobby.where, field: "category", message: `There is no category called ${hobby.category}.` });
+                }
+            }
+
+            const { values: hobbyValues, errors: hobbyErrors } = validateHobby({
+                hobby_description: hobby.description,
+                date_learned: hobby.dateLearned,
+                category_id: categoryId || ""
+            });
+            for (const [field, message] of Object.entries(hobbyErrors)) {
+                errors.push({ where: hobby.where, field, message });
+            }
+            hobby.values = hobbyValues;
+        }
+    }
+
+    for (const [username, image] of images) {
+        if (!seen.has(username)) {
+            errors.push({ where: `${username} in the zip`, field: "profile_image", message: `There is no user named ${username} in the file.` });
+        } else if (image === null) {
+            errors.push({ where: `${username} in the zip`, field: "profile_image", message: "The picture is larger than 5MB." });
+        }
+    }
+
+    return errors;
+}
+
+// options.knex, options.profileImages, options.dataFile (Buffer), options.imagesZip (Buffer, optional),
+// options.req (the request, so the audit log knows who ran the import)
+// Returns { errors } when nothing was saved, or { created } - each created user with the generated
+// password (if one was made) and the number of hobbies
+async function importUsers({ knex, profileImages, dataFile, imagesZip, req = null }) {
+    const users = parseImportFile(dataFile);
+    if (users.length === 0) {
+        throw new ImportFormatError("The file has no users in it.");
+    }
+    const images = imagesZip ? readImagesZip(imagesZip) : new Map();
+
+    const errors = await validateImport(knex, users, images);
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    // Pictures go through the same checks and storage as uploads from the edit page.
+    // They are saved before the transaction, so if anything fails they are queued for deletion again
+    const savedImages = new Map();
+    const forgetSavedImages = () => Promise.all(
+        [...savedImages.values()].map((image) => profileImages.queueProfileImageDeletion(knex, image.key, "Cancelled user import"))
+    );
+
+    try {
+        for (const [username, image] of images) {
+            try {
+                savedImages.set(username, await profileImages.saveProfileImage(image));
+            } catch (err) {
+                if (!(err instanceof InvalidImageError)) {
+                    throw err;
+                }
+                errors.push({ where: `${username} in the zip`, field: "profile_image", message: err.message });
+            }
+        }
+        if (errors.length > 0) {
+            await forgetSavedImages();
+            return { errors };
+        }
+
+        const created = [];
+        await knex.transaction(async (trx) => {
+            for (const user of users) {
+                const generated = !user.values.password;
+                const password = user.values.password || crypto.randomBytes(12).toString("base64url");
+
+                const image = savedImages.get(user.values.username);
+                const [row] = await trx("users")
+                    .insert({
+                        username: user.values.username,
+                        password: await hashPassword(password),
+                        role: user.values.role || "member",
+                        profile_image: image ? image.key : null
+                    })
+                    .returning(["id", "username", "role", "profile_image"]);
+
+                await recordAudit(trx, req, { action: "create", targetType: "user", targetId: row.id, after: auditUser(row) });
+                await recordProfileImageChange(trx, req, row.id, null, row.profile_image);
+                if (image) {
+                    await profileImages.recordProfileImageUpload(trx, row.id, image, req && req.currentUser ? req.currentUser.id : null);
+                }
+
+                if (user.hobbies.length > 0) {
+                    const hobbies = await trx("hobbies")
+                        .insert(user.hobbies.map((hobby) => ({ user_id: row.id, ...hobby.values })))
+                        .returning("*");
+                    for (const hobby of hobbies) {
+                        await recordAudit(trx, req, { action: "create", targetType: "hobby", targetId: hobby.id, after: hobby });
+                    }
+                }
+
+                created.push({
+                    username: user.values.username,
+                    role: user.values.role || "member",
+                    password: generated ? password : null,
+                    hobbyCount: user.hobbies.length,
+                    hasProfileImage: Boolean(image)
+                });
+            }
+        });
+        return { created };
+    } catch (err) {
+        await forgetSavedImages();
+        throw err;
+    }
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    ImportFormatError,
+    exportUsers,
+    usersToJson,
+    usersToCsv,
+    profileImagesZip,
+    parseImportFile,
+    importUsers
+};
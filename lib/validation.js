@@ -0,0 +1,248 @@
+// Input validation shared by the web pages and the JSON API
+// Each validator returns { values, errors }: values holds the cleaned-up fields,
+// errors maps a field name to a message and is empty when everything is valid
+
+const { ROLES } = require("./authorization");
+const { BadRequestError } = require("./errors");
+
+function hasErrors(errors) {
+    return Object.keys(errors).length > 0;
+}
+
+// All error messages as one sentence, for pages that show a single error line
+function errorSummary(errors) {
+    return Object.values(errors).join(" ");
+}
+
+// options.passwordRequired - true when creating a user; when editing, a blank password keeps the old one
+function validateUser(body, options = {}) {
+    const values = {};
+    const errors = {};
+
+    const username = typeof body.username === "string" ? body.username.trim() : "";
+    if (!username) {
+        errors.username = "Username is required.";
+    } else if (username.length > 255) {
+        errors.username = "Username must be 255 characters or less.";
+    } else {
+        values.username = username;
+    }
+
+    const password = typeof body.password === "string" ? body.password : "";
+    if (password) {
+        values.password = password;
+    } else if (options.passwordRequired) {
+        errors.password = "Password is required.";
+    }
+
+    if (body.role !== undefined && body.role !== "") {
+        if (ROLES.includes(body.role)) {
+            values.role = body.role;
+        } else {
+            errors.role = `Role must be one of: ${ROLES.join(", ")}.`;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Rules for accounts people create themselves (/register). Admins can still pick any username on /addUser
+const USERNAME_PATTERN = /^[A-Za-z0-9._-]{3,30}$/;
+const PASSWORD_MIN_LENGTH = 10;
+const PASSWORD_MAX_LENGTH = 128;
+
+// Passwords that are guessed first - length alone doesn't make "password1234" safe
+const COMMON_PASSWORDS = new Set([
+    "password", "password1", "password12", "password123", "password1234", "passw0rd", "p@ssw0rd",
+    "123456", "1234567", "12345678", "123456789", "1234567890", "0123456789", "1q2w3e4r5t",
+    "qwerty", "qwerty123", "qwertyuiop", "iloveyou", "letmein", "welcome", "welcome123",
+    "admin", "admin123", "administrator", "changeme", "abc123", "football", "baseball", "sunshine"
+]);
+
+// Returns a message saying what is wrong with a new password, or "" if it is strong enough.
+// Length matters more than symbols, so there are no "must contain a digit" rules -
+// only a minimum length, and no passwords that are common or built from the username
+function passwordStrengthError(password, username = "") {
+    if (password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters.`;
+    }
+    if (password.length > PASSWORD_MAX_LENGTH) {
+        return `Password must be ${PASSWORD_MAX_LENGTH} characters or less.`;
+    }
+    const lower = password.toLowerCase();
+    if (COMMON_PASSWORDS.has(lower) || /^(.)\1+$/.test(password)) {
+        return "That password is too easy to guess.";
+    }
+    if (username && lower.includes(username.toLowerCase())) {
+        return "Password can't contain your username.";
+    }
+    return "";
+}
+
+// A new password typed twice (registration, changing or resetting a password)
+function validateNewPassword(body, username, errors) {
+    const password = typeof body.password === "string" ? body.password : "";
+    if (!password) {
+        errors.password = "Password is required.";
+        return undefined;
+    }
+    const weakness = passwordStrengthError(password, username);
+    if (weakness) {
+        errors.password = weakness;
+    } else if (body.confirm_password !== password) {
+        errors.confirm_password = "The passwords don't match.";
+    } else {
+        return password;
+    }
+    return undefined;
+}
+
+// Sign-up form: username, password and confirm_password
+function validateRegistration(body) {
+    const values = {};
+    const errors = {};
+
+    const username = typeof body.username === "string" ? body.username.trim() : "";
+    if (!username) {
+        errors.username = "Username is required.";
+    } else if (!USERNAME_PATTERN.test(username)) {
+        errors.username = "Username must be 3 to 30 letters, digits, dots, dashes or underscores.";
+    } else {
+        values.username = username;
+    }
+
+    const password = validateNewPassword(body, username, errors);
+    if (password) {
+        values.password = password;
+    }
+
+    return { values, errors };
+}
+
+// Change-password and reset forms: password and confirm_password (plus current_password when changing)
+// username - the account's username, which the new password must not contain
+function validatePasswordChange(body, username, options = {}) {
+    const values = {};
+    const errors = {};
+
+    if (options.currentPasswordRequired) {
+        if (typeof body.current_password === "string" && body.current_password) {
+            values.current_password = body.current_password;
+        } else {
+            errors.current_password = "Enter your current password.";
+        }
+    }
+
+    const password = validateNewPassword(body, username, errors);
+    if (password) {
+        values.password = password;
+    }
+
+    return { values, errors };
+}
+
+// Matches the hobbies.hobby_description column
+const HOBBY_DESCRIPTION_MAX = 50;
+
+// Today as YYYY-MM-DD in the server's time zone
+function today() {
+    const now = new Date();
+    const month = String(now.getMonth() + 1).padStart(2, "0");
+    const day = String(now.getDate()).padStart(2, "0");
+    return `${now.getFullYear()}-${month}-${day}`;
+}
+
+// True for a real calendar date written as YYYY-MM-DD (2024-02-30 is not one)
+function isCalendarDate(text) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (!match) {
+        return false;
+    }
+    const [year, month, day] = match.slice(1).map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+// options.categoryIds - the ids in hobby_categories; when given, category_id must be one of them.
+// A blank category_id means "no category" and is saved as null
+function validateHobby(body, options = {}) {
+    const values = {};
+    const errors = {};
+
+    const description = typeof body.hobby_description === "string" ? body.hobby_description.trim() : "";
+    if (!description) {
+        errors.hobby_description = "Hobby description is required.";
+    } else if (description.length > HOBBY_DESCRIPTION_MAX) {
+        errors.hobby_description = `Hobby description must be ${HOBBY_DESCRIPTION_MAX} characters or less.`;
+    } else {
+        values.hobby_description = description;
+    }
+
+    const dateLearned = typeof body.date_learned === "string" ? body.date_learned.trim() : "";
+    if (!dateLearned) {
+        errors.date_learned = "Date learned is required.";
+    } else if (!isCalendarDate(dateLearned)) {
+        errors.date_learned = "Date learned must be a date like 2024-01-31.";
+    } else if (dateLearned > today()) {
+        // YYYY-MM-DD strings sort the same way as the dates they hold
+        errors.date_learned = "Date learned can't be in the future.";
+    } else {
+        values.date_learned = dateLearned;
+    }
+
+    if (body.category_id === undefined || body.category_id === null || body.category_id === "") {
+        values.category_id = null;
+    } else {
+        const categoryId = Number(body.category_id);
+        const known = !options.categoryIds || options.categoryIds.includes(categoryId);
+        if (!Number.isInteger(categoryId) || categoryId <= 0 || !known) {
+            errors.category_id = "Choose a category from the list.";
+        } else {
+            values.category_id = categoryId;
+        }
+    }
+
+    return { values, errors };
+}
+
+// Ids in URLs (/editUser/:id) must be whole numbers above zero - anything else would only reach
+// the database as an error
+function isPositiveId(value) {
+    return /^\d+$/.test(String(value)) && Number(value) > 0;
+}
+
+// For app.param() and router.param(): rejects bad ids before any route runs, e.g.
+//   app.param("userId", idParam("User"))
+function idParam(label) {
+    return (req, res, next, value) => {
+        if (!isPositiveId(value)) {
+            return next(new BadRequestError(`${label} id must be a positive whole number.`));
+        }
+        next();
+    };
+}
+
+// Page and page size from the query string, e.g. ?page=2&limit=20
+function parsePagination(query, defaults = {}) {
+    const maxLimit = defaults.maxLimit || 100;
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaults.limit || 20, 1), maxLimit);
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+    hasErrors,
+    errorSummary,
+    validateUser,
+    USERNAME_PATTERN,
+    PASSWORD_MIN_LENGTH,
+    passwordStrengthError,
+    validateRegistration,
+    validatePasswordChange,
+    HOBBY_DESCRIPTION_MAX,
+    isCalendarDate,
+    validateHobby,
+    isPositiveId,
+    idParam,
+    parsePagination
+};
@@ -0,0 +1,67 @@
+// Direct-to-S3 uploads for forms marked with data-direct-upload
+// Instead of sending the picture through our server, the browser:
+//   1. asks /uploads/presign for a presigned POST policy
+//   2. uploads the file straight to the S3 bucket with that policy
+//   3. either confirms the key (data-confirm-url, used when editing a user)
+//      or puts it in the uploadedImageKey field (used when adding a user)
+// and then submits the rest of the form without the file.
+
+document.querySelectorAll("form[data-direct-upload]").forEach(function (form) {
+    form.addEventListener("submit", async function (event) {
+        const fileInput = form.querySelector('input[type="file"]');
+        if (!fileInput || fileInput.files.length === 0) {
+            return; // Nothing to upload - submit the form normally
+        }
+
+        event.preventDefault();
+        const errorMessage = form.querySelector("[data-upload-error]");
+        const file = fileInput.files[0];
+        // Our own endpoints need the form's CSRF token; S3 does not
+        const csrfToken = form.elements._csrf.value;
+
+        try {
+            const presignResponse = await fetch("/uploads/presign", {
+                method: "POST",
+                headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+                body: JSON.stringify({ filename: file.name, contentType: file.type, size: file.size })
+            });
+            const policy = await presignResponse.json();
+            if (!presignResponse.ok) {
+                throw new Error(policy.error);
+            }
+
+            // The policy fields must come before the file
+            const uploadBody = new FormData();
+            Object.keys(policy.fields).forEach(function (name) {
+                uploadBody.append(name, policy.fields[name]);
+            });
+            uploadBody.append("file", file);
+
+            const uploadResponse = await fetch(policy.url, { method: "POST", body: uploadBody });
+            if (!uploadResponse.ok) {
+                throw new Error("The picture could not be uploaded.");
+            }
+
+            if (form.dataset.confirmUrl) {
+                const confirmResponse = await fetch(form.dataset.confirmUrl, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", "X-CSRF-Token": csrfToken },
+                    body: JSON.stringify({ key: policy.key })
+                });
+                if (!confirmResponse.ok) {
+                    throw new Error((await confirmResponse.json()).error);
+                }
+            } else {
+                form.elements.uploadedImageKey.value = policy.key;
+            }
+
+            // The picture is already stored, so don't send it again
+            fileInput.value = "";
+            form.submit();
+        } catch (error) {
+            if (errorMessage) {
+                errorMessage.textContent = error.message || "The picture could not be uploaded.";
+            }
+        }
+    });
+});
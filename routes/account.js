@@ -0,0 +1,230 @@
+// Pages people use for their own account, without an admin:
+//   /register         - sign up as a member (turn off with ALLOW_REGISTRATION=false)
+//   /change-password  - change your password; asks for the current one first (must be logged in)
+//   /forgot-password  - ask for a reset link, sent through the notifier (see lib/notifier.js)
+//   /reset-password   - choose a new password with the link's token (see lib/passwordResets.js)
+// Everything except /change-password works without logging in, so app.js lets these paths past its login check.
+
+const express = require("express");
+const { hashPassword, verifyPassword } = require("../lib/passwords");
+const { UNIQUE_VIOLATION, NotFoundError, asyncHandler } = require("../lib/errors");
+const { hasErrors, validateRegistration, validatePasswordChange } = require("../lib/validation");
+const { auditUser, recordAudit } = require("../lib/auditLog");
+const { startLoggedInSession } = require("../lib/login");
+const {
+    RESET_TOKEN_LIFETIME_MINUTES,
+    createPasswordResetToken,
+    findPasswordResetUser,
+    usePasswordResetToken,
+    cancelPasswordResets
+} = require("../lib/passwordResets");
+
+// The pages that can be used without logging in
+const PUBLIC_ACCOUNT_PATHS = ["/register", "/forgot-password", "/reset-password"];
+
+// Shown whether or not the username exists, so the form can't be used to find out who has an account
+const RESET_REQUESTED_MESSAGE = "If that account exists, a link to reset its password is on its way.";
+
+// deps: { knex, notifier, allowRegistration, appUrl }
+// appUrl - e.g. https://hobbies.example.com, used to build reset links. Without it the link uses
+//          the Host header of the request, which is fine locally but can be faked - set APP_URL in production
+function createAccountRouter({ knex, notifier, allowRegistration = true, appUrl }) {
+    const router = express.Router();
+
+    function resetLink(req, token) {
+        const origin = appUrl ? appUrl.replace(/\/$/, "") : `${req.protocol}://${req.get("host")}`;
+        return `${origin}/reset-password?token=${encodeURIComponent(token)}`;
+    }
+
+    // Hides the pages entirely when registration is turned off
+    function registrationOpen(req, res, next) {
+        next(allowRegistration ? undefined : new NotFoundError("Registration is closed. Ask an admin for an account."));
+    }
+
+    router.get("/register", registrationOpen, (req, res) => {
+        if (req.session.isLoggedIn) {
+            return res.redirect("/");
+        }
+        res.render("register", { values: {}, errors: {}, error_message: "" });
+    });
+
+    router.post("/register", registrationOpen, asyncHandler(async (req, res) => {
+        const { values, errors } = validateRegistration(req.body);
+        const showForm = (fieldErrors, message = "") => {
+            res.status(400).render("register", { values: { username: req.body.username }, errors: fieldErrors, error_message: message });
+        };
+
+        if (hasErrors(errors)) {
+            return showForm(errors);
+        }
+
+        // Everyone who signs up is a member; only an admin can make another admin
+        const newUser = {
+            username: values.username,
+            password: await hashPassword(values.password),
+            role: "member"
+        };
+
+        let created;
+        try {
+            created = await knex.transaction(async (trx) => {
+                const [user] = await trx("users")
+                    .insert(newUser)
+                    .returning(["id", "username", "role"]);
+
+                // Nobody is logged in yet - the new user made the change
+                await recordAudit(trx, req, { action: "create", targetType: "user", targetId: user.id, after: auditUser(user), actor: user });
+                return user;
+            });
+        } catch (err) {
+            if (err.code === UNIQUE_VIOLATION) {
+                return showForm({ username: `The username ${values.username} is already taken.` });
+            }
+            throw err;
+        }
+
+        // Log the new member straight in with a new session, the same way POST /login does
+        await startLoggedInSession(req, created);
+        res.redirect("/");
+    }));
+
+    // Only reached when logged in - the login check in app.js runs first
+    router.get("/change-password", (req, res) => {
+        res.render("changePassword", { errors: {}, error_message: "", success_message: "" });
+    });
+
+    router.post("/change-password", asyncHandler(async (req, res) => {
+        const showForm = (status, errors) => {
+            res.status(status).render("changePassword", { errors, error_message: "", success_message: "" });
+        };
+
+        const { values, errors } = validatePasswordChange(req.body, req.currentUser.username, { currentPasswordRequired: true });
+        if (hasErrors(errors)) {
+            return showForm(400, errors);
+        }
+
+        const user = await knex("users")
+            .select("id", "username", "role", "password")
+            .where({ id: req.currentUser.id })
+            .first();
+
+        // Someone who finds a logged-in computer still can't change the password without knowing it
+        if (!(await verifyPassword(values.current_password, user.password))) {
+            return showForm(400, { current_password: "That isn't your current password." });
+        }
+
+        await knex.transaction(async (trx) => {
+            await trx("users")
+                .where({ id: user.id })
+                .update({ password: await hashPassword(values.password) });
+
+            // Reset links sent before the change would otherwise still work
+            await cancelPasswordResets(trx, user.id);
+            await recordAudit(trx, req, {
+                action: "update",
+                targetType: "user",
+                targetId: user.id,
+                before: auditUser(user),
+                after: auditUser(user, { passwordChanged: true })
+            });
+        });
+
+        res.render("changePassword", { errors: {}, error_message: "", success_message: "Your password has been changed." });
+    }));
+
+    router.get("/forgot-password", (req, res) => {
+        res.render("forgotPassword", { error_message: "", success_message: "" });
+    });
+
+    router.post("/forgot-password", asyncHandler(async (req, res) => {
+        const username = typeof req.body.username === "string" ? req.body.username.trim() : "";
+        if (!username) {
+            return res.status(400).render("forgotPassword", { error_message: "Enter your username.", success_message: "" });
+        }
+
+        const user = await knex("users")
+            .select("id", "username")
+            .where({ username })
+            .first();
+
+        if (user) {
+            const { token } = await createPasswordResetToken(knex, user.id);
+            const link = resetLink(req, token);
+            await notifier.send({
+                type: "password_reset",
+                user,
+                subject: "Reset your password",
+                text: `Someone asked to reset the password for ${user.username}. ` +
+                    `Open this link within ${RESET_TOKEN_LIFETIME_MINUTES} minutes to choose a new one:\n${link}\n` +
+                    "If it wasn't you, ignore this message and your password will stay the same.",
+                link
+            });
+            req.log.info("Password reset requested", { userId: user.id });
+        }
+
+        res.render("forgotPassword", { error_message: "", success_message: RESET_REQUESTED_MESSAGE });
+    }));
+
+    // The token is in the URL, so the page must not send it to other sites in the Referer header
+    function noReferrer(req, res, next) {
+        res.setHeader("Referrer-Policy", "no-referrer");
+        next();
+    }
+
+    const INVALID_LINK_MESSAGE = "This reset link has expired or was already used. Ask for a new one.";
+
+    router.get("/reset-password", noReferrer, asyncHandler(async (req, res) => {
+        const token = typeof req.query.token === "string" ? req.query.token : "";
+        const user = await findPasswordResetUser(knex, token);
+        if (!user) {
+            return res.status(400).render("forgotPassword", { error_message: INVALID_LINK_MESSAGE, success_message: "" });
+        }
+        res.render("resetPassword", { token, username: user.username, errors: {} });
+    }));
+
+    router.post("/reset-password", noReferrer, asyncHandler(async (req, res) => {
+        const token = typeof req.body.token === "string" ? req.body.token : "";
+        const user = await findPasswordResetUser(knex, token);
+        if (!user) {
+            return res.status(400).render("forgotPassword", { error_message: INVALID_LINK_MESSAGE, success_message: "" });
+        }
+
+        const { values, errors } = validatePasswordChange(req.body, user.username);
+        if (hasErrors(errors)) {
+            return res.status(400).render("resetPassword", { token, username: user.username, errors });
+        }
+
+        const changed = await knex.transaction(async (trx) => {
+            // Another request may have used the link since we looked it up
+            const userId = await usePasswordResetToken(trx, token);
+            if (!userId) {
+                return false;
+            }
+
+            await trx("users")
+                .where({ id: userId })
+                .update({ password: await hashPassword(values.password) });
+            await cancelPasswordResets(trx, userId);
+            await recordAudit(trx, req, {
+                action: "update",
+                targetType: "user",
+                targetId: userId,
+                before: auditUser(user),
+                after: auditUser(user, { passwordChanged: true }),
+                actor: user
+            });
+            return true;
+        });
+
+        if (!changed) {
+            return res.status(400).render("forgotPassword", { error_message: INVALID_LINK_MESSAGE, success_message: "" });
+        }
+
+        req.log.info("Password reset", { userId: user.id });
+        res.render("login", { error_message: "", success_message: "Your password has been changed. Log in with your new password." });
+    }));
+
+    return router;
+}
+
+module.exports = { PUBLIC_ACCOUNT_PATHS, createAccountRouter };
@@ -0,0 +1,161 @@
+// Admin-only pages, mounted at /admin behind requireAdmin
+// Import and export: download every user and their hobbies as CSV or JSON (plus a zip of profile pictures),
+// or create many users at once from a file in the same format (see lib/userTransfer.js)
+// Audit log: who created, changed or deleted which user, hobby or picture (see lib/auditLog.js)
+// Login activity: failed logins, locked usernames and addresses, and unlocking them (see lib/loginThrottle.js)
+
+const express = require("express");
+const {
+    ImportFormatError,
+    exportUsers,
+    usersToJson,
+    usersToCsv,
+    profileImagesZip,
+    importUsers
+} = require("../lib/userTransfer");
+const { ACTIONS, TARGET_TYPES, parseAuditQuery, listAuditLog, auditQueryString, auditUser, recordAudit } = require("../lib/auditLog");
+const { SCOPES, accountKey } = require("../lib/loginThrottle");
+const { BadRequestError, asyncHandler } = require("../lib/errors");
+
+// The date part of a file name, e.g. users-2024-01-31.csv
+function fileDate() {
+    return new Date().toISOString().split("T")[0];
+}
+
+// deps: { knex, storage, profileImages, loginThrottle }
+function createAdminRouter({ knex, storage, profileImages, loginThrottle }) {
+    const router = express.Router();
+
+    function renderTransfer(res, status, locals = {}) {
+        res.status(status).render("importExport", {
+            created: null,
+            importErrors: [],
+            error_message: "",
+            ...locals
+        });
+    }
+
+    router.get("/transfer", (req, res) => {
+        renderTransfer(res, 200);
+    });
+
+    // Failed exports go to the app's error handler (lib/errors.js) like any other error
+    router.get("/export/users.json", asyncHandler(async (req, res) => {
+        const users = await exportUsers(knex);
+        res.attachment(`users-${fileDate()}.json`).type("json").send(usersToJson(users));
+    }));
+
+    router.get("/export/users.csv", asyncHandler(async (req, res) => {
+        const users = await exportUsers(knex);
+        res.attachment(`users-${fileDate()}.csv`).type("csv").send(usersToCsv(users));
+    }));
+
+    router.get("/export/profile-images.zip", asyncHandler(async (req, res) => {
+        const zip = await profileImagesZip(knex, storage);
+        res.attachment(`profile-images-${fileDate()}.zip`).type("zip").send(zip);
+    }));
+
+    // The multipart body was already read before the CSRF check, so the files are on req.files
+    router.post("/import", asyncHandler(async (req, res) => {
+        const files = req.files || [];
+        const dataFile = files.find((file) => file.fieldname === "dataFile");
+        const imagesZip = files.find((file) => file.fieldname === "imagesZip");
+
+        // Files over the 50MB limit are refused before they reach us
+        if (req.uploadError) {
+            return renderTransfer(res, 400, { error_message: req.uploadError });
+        }
+        if (!dataFile) {
+            return renderTransfer(res, 400, { error_message: "Choose a CSV or JSON file to import." });
+        }
+
+        try {
+            const result = await importUsers({
+                knex,
+                profileImages,
+                dataFile: dataFile.buffer,
+                imagesZip: imagesZip && imagesZip.buffer,
+                req
+            });
+
+            if (result.errors) {
+                return renderTransfer(res, 400, {
+                    importErrors: result.errors,
+                    error_message: "Nothing was imported. Fix these problems and upload the file again."
+                });
+            }
+            renderTransfer(res, 200, { created: result.created });
+        } catch (err) {
+            if (err instanceof ImportFormatError) {
+                return renderTransfer(res, 400, { error_message: err.message });
+            }
+            throw err;
+        }
+    }));
+
+    // Filter by actor (username or id), action, target type and target id, e.g. /admin/audit?targetType=user&targetId=3
+    router.get("/audit", asyncHandler(async (req, res) => {
+        const auditQuery = parseAuditQuery(req.query);
+        const { entries, total } = await listAuditLog(knex, auditQuery);
+
+        res.render("auditLog", {
+            entries,
+            total,
+            auditQuery,
+            actions: ACTIONS,
+            targetTypes: TARGET_TYPES,
+            totalPages: Math.max(Math.ceil(total / auditQuery.limit), 1),
+            auditUrl: (changes) => `/admin/audit${auditQueryString(auditQuery, changes)}`
+        });
+    }));
+
+    // Filter the recent attempts by username, e.g. /admin/logins?username=greg
+    router.get("/logins", asyncHandler(async (req, res) => {
+        const username = typeof req.query.username === "string" ? req.query.username.trim() : "";
+        const [throttles, attempts] = await Promise.all([
+            loginThrottle.listThrottles(),
+            loginThrottle.listAttempts({ username })
+        ]);
+
+        res.render("loginActivity", {
+            throttles,
+            attempts,
+            username,
+            limits: loginThrottle.limits
+        });
+    }));
+
+    // Lets a locked username or address try again right away
+    router.post("/logins/unlock", asyncHandler(async (req, res) => {
+        const { scope, key } = req.body;
+        if (!SCOPES.includes(scope) || typeof key !== "string" || !key) {
+            throw new BadRequestError("Choose a username or address to unlock.");
+        }
+
+        await knex.transaction(async (trx) => {
+            await loginThrottle.unlock(scope, key, trx);
+
+            // Unlocking an account is a change to that user, so it goes in the audit log
+            const user = scope === "account" && await trx("users")
+                .select("id", "username", "role")
+                .whereRaw("lower(username) = ?", [accountKey(key)])
+                .first();
+            if (user) {
+                await recordAudit(trx, req, {
+                    action: "update",
+                    targetType: "user",
+                    targetId: user.id,
+                    before: { ...auditUser(user), loginLocked: true },
+                    after: { ...auditUser(user), loginLocked: false }
+                });
+            }
+        });
+
+        req.log.info("Login unlocked", { scope, key });
+        res.redirect("/admin/logins");
+    }));
+
+    return router;
+}
+
+module.exports = { createAdminRouter };
@@ -0,0 +1,574 @@
+// JSON REST API, mounted at /api/v1
+// Scripts and apps log in either with the browser session (plus an X-CSRF-Token header on changes)
+// or with an API token: POST /api/v1/tokens with a username and password, then send
+// "Authorization: Bearer <token>" with every request.
+//
+// Every error response looks like { "error": "message", "details": { "field": "message" } }
+// and list endpoints return { "data": [...], "pagination": { page, limit, total, totalPages } }.
+
+const express = require("express");
+const { isAdmin, canManageUser } = require("../lib/authorization");
+const { createApiToken, findUserByApiToken, revokeApiToken } = require("../lib/apiTokens");
+const { isUnsafeMethod, hasValidCsrfHeader, sessionToken } = require("../lib/csrf");
+const { InvalidImageError } = require("../lib/images");
+const { hashPassword } = require("../lib/passwords");
+const { checkCredentials } = require("../lib/login");
+const { cancelPasswordResets } = require("../lib/passwordResets");
+const { hasErrors, validateUser, validateHobby, parsePagination, idParam } = require("../lib/validation");
+const {
+    BadRequestError, UnauthorizedError, ValidationError, ForbiddenError, NotFoundError, TooManyRequestsError, asyncHandler
+} = require("../lib/errors");
+const { parseUserListQuery, listUsers } = require("../lib/userList");
+const { auditUser, recordAudit, recordProfileImageChange } = require("../lib/auditLog");
+const { observeUploads, recordUploadFailure } = require("../lib/metrics");
+const { listCategories, dateOnly, parseHobbyListQuery, listHobbies } = require("../lib/hobbies");
+const { ATTACHMENT_FIELD } = require("../lib/hobbyAttachments");
+
+function bearerToken(req) {
+    const header = req.get("Authorization") || "";
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+// deps: { knex, upload, profileImages, hobbyAttachments, loginThrottle }
+function createApiRouter({ knex, upload, profileImages, hobbyAttachments, loginThrottle }) {
+    const router = express.Router();
+
+    router.use(express.json());
+
+    function userJson(user) {
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            profileImage: user.profile_image
+                ? {
+                    key: user.profile_image,
+                    url: profileImages.imageUrl(user.profile_image),
+                    thumbnailUrl: profileImages.thumbnailUrl(user.profile_image)
+                }
+                : null
+        };
+    }
+
+    function attachmentJson(attachment) {
+        return {
+            id: attachment.id,
+            name: attachment.original_name,
+            contentType: attachment.content_type,
+            size: attachment.size,
+            url: hobbyAttachments.attachmentUrl(attachment)
+        };
+    }
+
+    function hobbyJson(hobby, attachments = []) {
+        return {
+            id: hobby.id,
+            userId: hobby.user_id,
+            description: hobby.hobby_description,
+            dateLearned: dateOnly(hobby.date_learned),
+            categoryId: hobby.category_id,
+            attachments: attachments.map(attachmentJson)
+        };
+    }
+
+    // hobbyJson() for a list of the hobbies of the user in req.params.userId, with each one's attachments.
+    // Attachments can be private, so other members get an empty list - only the owner and admins can open them
+    async function hobbiesJson(req, hobbies) {
+        const hobbyIds = canManageUser(req.currentUser, req.params.userId) ? hobbies.map((hobby) => hobby.id) : [];
+        const attachments = await hobbyAttachments.attachmentsByHobby(knex, hobbyIds);
+        return hobbies.map((hobby) => hobbyJson(hobby, attachments.get(Number(hobby.id))));
+    }
+
+    // The API names hobby fields description, dateLearned and categoryId;
+    // the table uses hobby_description, date_learned and category_id
+    async function validateHobbyJson(body) {
+        const categories = await listCategories(knex);
+        const { values, errors } = validateHobby({
+            hobby_description: body.description,
+            date_learned: body.dateLearned,
+            category_id: body.categoryId
+        }, { categoryIds: categories.map((category) => category.id) });
+
+        const apiNames = { hobby_description: "description", date_learned: "dateLearned", category_id: "categoryId" };
+        const apiErrors = {};
+        for (const [field, message] of Object.entries(errors)) {
+            apiErrors[apiNames[field]] = message;
+        }
+        return { values, errors: apiErrors };
+    }
+
+    function pageJson(data, { page, limit }, total) {
+        return {
+            data,
+            pagination: { page, limit, total, totalPages: Math.ceil(total / limit) }
+        };
+    }
+
+    // One entry of a user's picture history
+    function profileImageJson(image, currentKey) {
+        return {
+            id: image.id,
+            key: image.key,
+            url: profileImages.imageUrl(image.key),
+            thumbnailUrl: profileImages.thumbnailUrl(image.key),
+            size: image.size,
+            contentType: image.content_type,
+            uploadedBy: image.uploaded_by_username || null,
+            createdAt: image.created_at,
+            lastUsedAt: image.last_used_at,
+            current: image.key === currentKey
+        };
+    }
+
+    // Save the profile picture from the request (multipart file or direct-upload key).
+    // Returns the saved picture ({ key, size, ... }, see lib/profileImages.js) or undefined when the request has no picture
+    async function profileImageFromRequest(req) {
+        if (req.file) {
+            return profileImages.saveProfileImage(req.file.buffer);
+        }
+        if (req.body.uploadedImageKey && profileImages.directUploads) {
+            const image = await profileImages.processUploadedKey(req.body.uploadedImageKey);
+            if (!image) {
+                throw new InvalidImageError("The uploaded picture could not be found.");
+            }
+            return image;
+        }
+        return undefined;
+    }
+
+    // Runs save(), the transaction that records a picture saved by profileImageFromRequest().
+    // If it fails (e.g. the username is taken), nobody will ever point at the picture, so it is queued for deletion
+    async function withSavedProfileImage(profileImage, reason, save) {
+        try {
+            return await save();
+        } catch (err) {
+            if (profileImage) {
+                await profileImages.queueProfileImageDeletion(knex, profileImage.key, reason);
+            }
+            throw err;
+        }
+    }
+
+    // Log in with a username and password and get an API token back
+    // Uses the same login limits as the login page, so scripts can't guess passwords faster
+    router.post("/tokens", asyncHandler(async (req, res) => {
+        const { username, password, name } = req.body || {};
+
+        const throttle = await loginThrottle.check(username, req.ip);
+        if (!throttle.allowed) {
+            await loginThrottle.recordBlocked(username, req.ip);
+            throw new TooManyRequestsError(throttle.message, { retryAfterSeconds: throttle.retryAfterSeconds });
+        }
+
+        // The same check as the login page (see lib/login.js)
+        const user = await checkCredentials(knex, username, password);
+        if (!user) {
+            await loginThrottle.recordFailure(username, req.ip);
+            throw new UnauthorizedError("Invalid username or password.");
+        }
+        await loginThrottle.recordSuccess(username, req.ip);
+
+        const { token, expiresAt } = await createApiToken(knex, user.id, name);
+        res.status(201).json({ token, expiresAt });
+    }));
+
+    // Everything below needs a logged-in user (API token or session)
+    router.use(asyncHandler(async (req, res, next) => {
+        const token = bearerToken(req);
+        if (token) {
+            req.currentUser = await findUserByApiToken(knex, token);
+            req.apiToken = token;
+            if (!req.currentUser) {
+                throw new UnauthorizedError("The API token is invalid or has expired.");
+            }
+            return next();
+        }
+
+        if (req.session.isLoggedIn && req.session.userId) {
+            req.currentUser = await knex("users")
+                .select("id", "username", "role")
+                .where({ id: req.session.userId })
+                .first();
+        }
+        if (!req.currentUser) {
+            throw new UnauthorizedError("Log in or send an API token.");
+        }
+
+        // Session cookies are sent by the browser automatically, so changes need the CSRF token as well
+        if (isUnsafeMethod(req.method) && !hasValidCsrfHeader(req)) {
+            throw new ForbiddenError("Invalid or missing X-CSRF-Token header.");
+        }
+        next();
+    }));
+
+    // Multipart bodies (user create/update with a profileImage file, hobbies with attachments) are read only after login is checked
+    router.use((req, res, next) => {
+        if (!req.is("multipart/form-data")) {
+            return next();
+        }
+        upload.any()(req, res, (err) => {
+            if (err) {
+                if (err.code) {
+                    recordUploadFailure(err.code);
+                }
+                return next(err);
+            }
+            observeUploads(req.files);
+            req.file = (req.files || []).find((file) => file.fieldname === "profileImage");
+            next();
+        });
+    });
+
+    router.param("userId", idParam("User"));
+    router.param("hobbyId", idParam("Hobby"));
+    router.param("imageId", idParam("Picture"));
+
+    function requireSelfOrAdmin(req, res, next) {
+        if (canManageUser(req.currentUser, req.params.userId)) {
+            return next();
+        }
+        next(new ForbiddenError());
+    }
+
+    function requireAdmin(req, res, next) {
+        if (isAdmin(req.currentUser)) {
+            return next();
+        }
+        next(new ForbiddenError("Only admins can do that."));
+    }
+
+    // Who am I? Session users also get the CSRF token they need for changes
+    router.get("/me", (req, res) => {
+        const body = { user: req.currentUser };
+        if (!req.apiToken) {
+            body.csrfToken = sessionToken(req);
+        }
+        res.json(body);
+    });
+
+    router.delete("/tokens/current", asyncHandler(async (req, res) => {
+        if (!req.apiToken) {
+            throw new BadRequestError("This request was not made with an API token.");
+        }
+        await revokeApiToken(knex, req.apiToken);
+        res.status(204).end();
+    }));
+
+    // Direct-to-S3 upload policy for a profile picture; send the returned key as uploadedImageKey
+    router.post("/uploads/presign", asyncHandler(async (req, res) => {
+        if (!profileImages.directUploads) {
+            throw new NotFoundError("Direct uploads are not enabled.");
+        }
+        res.json(await profileImages.presignProfileImageUpload(req.body || {}));
+    }));
+
+    // Takes the same search, filter and sort parameters as the /users page (see lib/userList.js)
+    router.get("/users", asyncHandler(async (req, res) => {
+        const listQuery = parseUserListQuery(req.query, { sort: "id" });
+        const { users, total } = await listUsers(knex, listQuery);
+
+        res.json(pageJson(users.map((user) => ({ ...userJson(user), hobbyCount: user.hobby_count })), listQuery, total));
+    }));
+
+    router.post("/users", requireAdmin, asyncHandler(async (req, res) => {
+        const { values, errors } = validateUser(req.body, { passwordRequired: true });
+        if (hasErrors(errors)) {
+            throw new ValidationError(errors);
+        }
+
+        const password = await hashPassword(values.password);
+        const profileImage = await profileImageFromRequest(req);
+        const user = await withSavedProfileImage(profileImage, `Unsaved new user ${values.username}`, () => knex.transaction(async (trx) => {
+            const [created] = await trx("users")
+                .insert({
+                    username: values.username,
+                    password,
+                    role: values.role || "member",
+                    profile_image: profileImage ? profileImage.key : null
+                })
+                .returning(["id", "username", "role", "profile_image"]);
+
+            await recordAudit(trx, req, { action: "create", targetType: "user", targetId: created.id, after: auditUser(created) });
+            await recordProfileImageChange(trx, req, created.id, null, created.profile_image);
+            if (profileImage) {
+                await profileImages.recordProfileImageUpload(trx, created.id, profileImage, req.currentUser.id);
+            }
+            return created;
+        }));
+
+        res.status(201).location(`${req.baseUrl}/users/${user.id}`).json(userJson(user));
+    }));
+
+    router.get("/users/:userId", asyncHandler(async (req, res) => {
+        const user = await knex("users")
+            .select("id", "username", "role", "profile_image")
+            .where({ id: req.params.userId })
+            .first();
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        res.json(userJson(user));
+    }));
+
+    router.patch("/users/:userId", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        const existing = await knex("users")
+            .select("id", "username", "profile_image")
+            .where({ id: req.params.userId })
+            .first();
+
+        if (!existing) {
+            throw new NotFoundError("User not found.");
+        }
+
+        // PATCH only changes the fields that were sent
+        const { values, errors } = validateUser({ username: existing.username, ...req.body });
+        if (hasErrors(errors)) {
+            throw new ValidationError(errors);
+        }
+        if (values.role && !isAdmin(req.currentUser)) {
+            throw new ForbiddenError("Only admins can change roles.");
+        }
+        // Like the edit page: your own password is changed with the current one on /change-password
+        if (values.password && existing.id === req.currentUser.id) {
+            throw new ValidationError({ password: "Change your own password on /change-password, which asks for your current one." });
+        }
+
+        const changes = { username: values.username };
+        if (values.password) {
+            changes.password = await hashPassword(values.password);
+        }
+        if (values.role) {
+            changes.role = values.role;
+        }
+
+        const profileImage = await profileImageFromRequest(req);
+        if (profileImage) {
+            changes.profile_image = profileImage.key;
+        }
+
+        // Save the changes and add the new picture to the user's history in one transaction.
+        // The old picture can still be restored until it is pruned
+        const user = await withSavedProfileImage(profileImage, `Unsaved change to user ${existing.id}`, () => knex.transaction(async (trx) => {
+            const current = await trx("users")
+                .select("id", "username", "role", "profile_image")
+                .where({ id: existing.id })
+                .forUpdate()
+                .first();
+
+            const [updated] = await trx("users")
+                .where({ id: existing.id })
+                .update(changes)
+                .returning(["id", "username", "role", "profile_image"]);
+
+            await recordAudit(trx, req, {
+                action: "update",
+                targetType: "user",
+                targetId: existing.id,
+                before: auditUser(current),
+                after: auditUser(updated, { passwordChanged: Boolean(changes.password) })
+            });
+            if (profileImage) {
+                await recordProfileImageChange(trx, req, existing.id, current.profile_image, profileImage.key);
+                await profileImages.recordProfileImageUpload(trx, existing.id, profileImage, req.currentUser.id);
+            }
+            if (changes.password) {
+                await cancelPasswordResets(trx, existing.id);
+            }
+            return updated;
+        }));
+
+        res.json(userJson(user));
+    }));
+
+    // The user, their hobbies and the queued picture deletion are saved together, like /deleteUser/:id
+    router.delete("/users/:userId", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        const user = await knex.transaction(async (trx) => {
+            const found = await trx("users")
+                .select("id", "username", "role", "profile_image")
+                .where({ id: req.params.userId })
+                .forUpdate()
+                .first();
+
+            if (!found) {
+                return null;
+            }
+
+            // The picture history and the hobbies' attachments are deleted with the user, so collect their files first
+            await profileImages.queueUserProfileImagesDeletion(trx, found, `Deleted user ${found.id}`);
+            const hobbyIds = await trx("hobbies").where({ user_id: found.id }).pluck("id");
+            await hobbyAttachments.queueAttachmentsDeletion(trx, req, hobbyIds, `Deleted user ${found.id}`);
+
+            const hobbies = await trx("hobbies").where({ user_id: found.id }).del().returning("*");
+            await trx("users").where({ id: found.id }).del();
+
+            for (const hobby of hobbies) {
+                await recordAudit(trx, req, { action: "delete", targetType: "hobby", targetId: hobby.id, before: hobby });
+            }
+            await recordAudit(trx, req, { action: "delete", targetType: "user", targetId: found.id, before: auditUser(found) });
+            await recordProfileImageChange(trx, req, found.id, found.profile_image, null);
+            return found;
+        });
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+
+        res.status(204).end();
+    }));
+
+    // Throws a NotFoundError when the user doesn't exist
+    async function findUserOrThrow(req) {
+        const user = await knex("users")
+            .select("id")
+            .where({ id: req.params.userId })
+            .first();
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        return user;
+    }
+
+    // The user's picture history, most recently used first. current is true for their picture now
+    router.get("/users/:userId/images", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        const user = await knex("users")
+            .select("id", "profile_image")
+            .where({ id: req.params.userId })
+            .first();
+
+        if (!user) {
+            throw new NotFoundError("User not found.");
+        }
+        const images = await profileImages.listProfileImages(knex, user.id);
+        res.json({ data: images.map((image) => profileImageJson(image, user.profile_image)) });
+    }));
+
+    // Make a picture from the history the user's picture again. Returns the user
+    router.post("/users/:userId/images/:imageId/restore", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        await findUserOrThrow(req);
+        await profileImages.restoreProfileImage(knex, req, Number(req.params.userId), Number(req.params.imageId));
+
+        const user = await knex("users")
+            .select("id", "username", "role", "profile_image")
+            .where({ id: req.params.userId })
+            .first();
+        res.json(userJson(user));
+    }));
+
+    router.get("/users/:userId/hobbies", asyncHandler(async (req, res) => {
+        await findUserOrThrow(req);
+
+        // Takes the same sort and filter parameters as the hobby page (see lib/hobbies.js)
+        const pagination = parsePagination(req.query);
+        const hobbyList = listHobbies(knex, req.params.userId, parseHobbyListQuery(req.query));
+        const [{ count }] = await knex.count("* as count").from(hobbyList.clone().clearOrder().as("matching"));
+        const hobbies = await hobbyList
+            .limit(pagination.limit)
+            .offset(pagination.offset);
+
+        res.json(pageJson(await hobbiesJson(req, hobbies), pagination, Number(count)));
+    }));
+
+    // Send multipart/form-data with files in an "attachments" field to attach photos or PDFs
+    router.post("/users/:userId/hobbies", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        await findUserOrThrow(req);
+
+        const { values, errors } = await validateHobbyJson(req.body || {});
+        if (hasErrors(errors)) {
+            throw new ValidationError(errors);
+        }
+
+        const saved = await hobbyAttachments.saveAttachments((req.files || []).filter((file) => file.fieldname === ATTACHMENT_FIELD));
+        let hobby;
+        let attachments;
+        try {
+            [hobby, attachments] = await knex.transaction(async (trx) => {
+                const [created] = await trx("hobbies")
+                    .insert({ user_id: req.params.userId, ...values })
+                    .returning("*");
+
+                await recordAudit(trx, req, { action: "create", targetType: "hobby", targetId: created.id, after: created });
+                return [created, await hobbyAttachments.recordAttachments(trx, req, created.id, saved)];
+            });
+        } catch (err) {
+            await hobbyAttachments.queueSavedAttachmentsDeletion(knex, saved, `Unsaved hobby of user ${req.params.userId}`);
+            throw err;
+        }
+
+        res.status(201)
+            .location(`${req.baseUrl}/users/${req.params.userId}/hobbies/${hobby.id}`)
+            .json(hobbyJson(hobby, attachments));
+    }));
+
+    router.get("/hobby-categories", asyncHandler(async (req, res) => {
+        res.json({ data: await listCategories(knex) });
+    }));
+
+    router.get("/users/:userId/hobbies/:hobbyId", asyncHandler(async (req, res) => {
+        const hobby = await knex("hobbies")
+            .where({ id: req.params.hobbyId, user_id: req.params.userId })
+            .first();
+
+        if (!hobby) {
+            throw new NotFoundError("Hobby not found.");
+        }
+        res.json((await hobbiesJson(req, [hobby]))[0]);
+    }));
+
+    router.patch("/users/:userId/hobbies/:hobbyId", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        const existing = await knex("hobbies")
+            .where({ id: req.params.hobbyId, user_id: req.params.userId })
+            .first();
+
+        if (!existing) {
+            throw new NotFoundError("Hobby not found.");
+        }
+
+        // PATCH only changes the fields that were sent
+        const { values, errors } = await validateHobbyJson({ ...hobbyJson(existing), ...req.body });
+        if (hasErrors(errors)) {
+            throw new ValidationError(errors);
+        }
+
+        const hobby = await knex.transaction(async (trx) => {
+            const [updated] = await trx("hobbies")
+                .where({ id: existing.id })
+                .update(values)
+                .returning("*");
+
+            await recordAudit(trx, req, { action: "update", targetType: "hobby", targetId: existing.id, before: existing, after: updated });
+            return updated;
+        });
+
+        res.json((await hobbiesJson(req, [hobby]))[0]);
+    }));
+
+    // Like the page, the attachments' files are queued for deletion before the hobby (and their rows) go
+    router.delete("/users/:userId/hobbies/:hobbyId", requireSelfOrAdmin, asyncHandler(async (req, res) => {
+        await knex.transaction(async (trx) => {
+            await hobbyAttachments.queueAttachmentsDeletion(trx, req, [req.params.hobbyId], `Deleted hobby ${req.params.hobbyId}`);
+
+            const [hobby] = await trx("hobbies")
+                .where({ id: req.params.hobbyId, user_id: req.params.userId })
+                .del()
+                .returning("*");
+
+            if (!hobby) {
+                throw new NotFoundError("Hobby not found.");
+            }
+            await recordAudit(trx, req, { action: "delete", targetType: "hobby", targetId: hobby.id, before: hobby });
+        });
+        res.status(204).end();
+    }));
+
+    // Anything else under /api/v1. Errors are answered with JSON by the app's error handler (lib/errors.js)
+    router.use((req, res, next) => {
+        next(new NotFoundError("Not found."));
+    });
+
+    return router;
+}
+
+module.exports = { createApiRouter };
@@ -0,0 +1,48 @@
+// Health endpoints for the load balancer and monitoring. They are mounted before the session and login
+// middleware, so they work without logging in and without touching the sessions table.
+//   GET /healthz - liveness: the process is up and answering requests. Never checks the database,
+//                  so a database outage doesn't make Elastic Beanstalk restart healthy servers
+//   GET /readyz  - readiness: the database and file storage can be reached (503 if not)
+//   GET /metrics - Prometheus metrics (see lib/metrics.js). Set METRICS_TOKEN to require
+//                  "Authorization: Bearer <token>"
+
+const crypto = require("crypto");
+const express = require("express");
+const { checkReadiness } = require("../lib/health");
+const { registry } = require("../lib/metrics");
+const { asyncHandler } = require("../lib/errors");
+
+function bearerTokenMatches(req, expected) {
+    const match = (req.get("Authorization") || "").match(/^Bearer\s+(.+)$/i);
+    const actual = Buffer.from(match ? match[1].trim() : "");
+    const wanted = Buffer.from(expected);
+    return actual.length === wanted.length && crypto.timingSafeEqual(actual, wanted);
+}
+
+// deps: { knex, storage, metricsToken }
+function createHealthRouter({ knex, storage, metricsToken }) {
+    const router = express.Router();
+
+    router.get("/healthz", (req, res) => {
+        res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+    });
+
+    router.get("/readyz", asyncHandler(async (req, res) => {
+        const { ready, checks } = await checkReadiness({ knex, storage });
+        if (!ready) {
+            req.log.warn("Not ready", { checks });
+        }
+        res.status(ready ? 200 : 503).json({ status: ready ? "ready" : "not ready", checks });
+    }));
+
+    router.get("/metrics", asyncHandler(async (req, res) => {
+        if (metricsToken && !bearerTokenMatches(req, metricsToken)) {
+            return res.status(401).type("text").send("Send the metrics token as: Authorization: Bearer <token>\n");
+        }
+        res.type(registry.contentType).send(await registry.metrics());
+    }));
+
+    return router;
+}
+
+module.exports = { createHealthRouter };
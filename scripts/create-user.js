@@ -0,0 +1,41 @@
+// Create a user with a hashed password - replaces the old greg/admin seed row
+// Run with: npm run create-user -- <username>          (a member)
+//           npm run create-user -- <username> --admin  (an admin)
+// The password comes from the NEW_USER_PASSWORD environment variable. If it is not set,
+// a random password is generated and printed once
+
+require("dotenv").config();
+
+const crypto = require("crypto");
+const { createKnex } = require("../lib/db");
+const { hashPassword } = require("../lib/passwords");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const username = args.find((arg) => !arg.startsWith("--"));
+    const role = args.includes("--admin") ? "admin" : "member";
+    if (!username) {
+        console.error("Usage: npm run create-user -- <username> [--admin]");
+        process.exitCode = 1;
+        return;
+    }
+
+    const generated = !process.env.NEW_USER_PASSWORD;
+    const password = process.env.NEW_USER_PASSWORD || crypto.randomBytes(12).toString("base64url");
+    const knex = createKnex();
+
+    try {
+        await knex("users").insert({ username, password: await hashPassword(password), role });
+        console.log(`Created ${role} ${username}`);
+        if (generated) {
+            console.log(`Password: ${password}`);
+        }
+    } finally {
+        await knex.destroy();
+    }
+}
+
+main().catch((err) => {
+    console.error("Unable to create user:", err.message);
+    process.exitCode = 1;
+});
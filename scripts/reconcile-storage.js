@@ -0,0 +1,94 @@
+// Report how far stored profile pictures and hobby attachments have drifted from users.profile_image, the picture
+// histories and hobby_attachments, and clean up
+// Works with whichever storage driver is configured (STORAGE_DRIVER=local or s3).
+// Run with: npm run storage:reconcile                                     (report only)
+//           npm run storage:reconcile -- --delete-orphans --dry-run       (list what would be deleted)
+//           npm run storage:reconcile -- --delete-orphans                 (delete orphans older than 24 hours)
+//           npm run storage:reconcile -- --delete-orphans --grace-hours=72
+// Orphans are deleted through the storage_deletions outbox, so every delete is recorded and retried
+
+require("dotenv").config();
+
+const { createKnex } = require("../lib/db");
+const { createStorage } = require("../lib/storage");
+const { loadConfig } = require("../lib/config");
+const { queueStorageDeletions, createDeletionWorker } = require("../lib/storageDeletions");
+const { reconcileStorage, deletableOrphans } = require("../lib/storageReconciliation");
+
+function optionValue(args, name) {
+    const arg = args.find((value) => value.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes("--dry-run");
+    const deleteOrphans = args.includes("--delete-orphans");
+    const graceHours = Number(optionValue(args, "grace-hours") || 24);
+    if (!Number.isFinite(graceHours) || graceHours < 0) {
+        console.error("--grace-hours must be a number of hours, e.g. --grace-hours=24");
+        process.exitCode = 1;
+        return;
+    }
+
+    const knex = createKnex();
+    const storage = createStorage(loadConfig(process.env, { sections: ["storage"] }).storage);
+
+    try {
+        const report = await reconcileStorage({ knex, storage, graceMs: graceHours * 60 * 60 * 1000 });
+
+        console.log(`${report.objectCount} files under ${report.prefixes.join(" and ")} in ${storage.name} storage, ${report.referenceCount} referenced by users, their picture histories and hobby attachments`);
+
+        console.log(`\nOrphaned files (no user, picture history or attachment points at them): ${report.orphans.length}`);
+        for (const orphan of report.orphans) {
+            const notes = [];
+            if (orphan.queued) {
+                notes.push("already queued for deletion");
+            } else if (!orphan.pastGracePeriod) {
+                notes.push(`newer than ${graceHours} hours`);
+            }
+            const age = orphan.lastModified ? orphan.lastModified.toISOString() : "unknown age";
+            console.log(`  ${orphan.key} (${orphan.size} bytes, ${age})${notes.length ? ` - ${notes.join(", ")}` : ""}`);
+        }
+
+        console.log(`\nDangling references (the file is missing): ${report.dangling.length}`);
+        for (const reference of report.dangling) {
+            const owner = reference.userId ? `user ${reference.userId}` : `attachment ${reference.attachmentId}`;
+            console.log(`  ${owner}: ${reference.key}`);
+        }
+
+        if (!deleteOrphans) {
+            return;
+        }
+
+        const toDelete = deletableOrphans(report);
+        if (dryRun) {
+            console.log(`\nWould delete ${toDelete.length} orphaned files`);
+            return;
+        }
+
+        await queueStorageDeletions(knex, toDelete.map((orphan) => orphan.key), "Orphan found by storage reconciliation");
+
+        // Work through the queue now instead of waiting for the app's worker.
+        // Files that fail stay queued and the worker retries them later
+        const worker = createDeletionWorker({ knex, storage, batchSize: 100 });
+        let deleted = 0;
+        let failed = 0;
+        for (;;) {
+            const result = await worker.runOnce();
+            deleted += result.deleted;
+            failed += result.failed;
+            if (result.deleted + result.failed === 0) {
+                break;
+            }
+        }
+        console.log(`\nDeleted ${deleted} orphaned files${failed ? `, ${failed} failed and will be retried` : ""}`);
+    } finally {
+        await knex.destroy();
+    }
+}
+
+main().catch((err) => {
+    console.error("Storage reconciliation failed:", err.message);
+    process.exitCode = 1;
+});
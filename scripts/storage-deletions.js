@@ -0,0 +1,55 @@
+// Check on the storage deletion outbox (see lib/storageDeletions.js)
+// Run with: npm run storage:deletions                    (counts, and the files that failed)
+//           npm run storage:deletions -- --run           (delete the files that are due now)
+//           npm run storage:deletions -- --retry-failed  (give failed files another round of tries)
+
+require("dotenv").config();
+
+const { createKnex } = require("../lib/db");
+const { createStorage } = require("../lib/storage");
+const { loadConfig } = require("../lib/config");
+const { createDeletionWorker } = require("../lib/storageDeletions");
+
+async function main() {
+    const args = process.argv.slice(2);
+    const knex = createKnex();
+
+    try {
+        if (args.includes("--retry-failed")) {
+            const count = await knex("storage_deletions")
+                .where({ status: "failed" })
+                .update({ status: "pending", attempts: 0, next_attempt_at: new Date(), completed_at: null });
+            console.log(`Queued ${count} failed deletions to try again`);
+        }
+
+        if (args.includes("--run")) {
+            const storage = createStorage(loadConfig(process.env, { sections: ["storage"] }).storage);
+            const { deleted, failed } = await createDeletionWorker({ knex, storage }).runOnce();
+            console.log(`Deleted ${deleted} files, ${failed} failed`);
+        }
+
+        const counts = await knex("storage_deletions")
+            .select("status")
+            .count("id as count")
+            .groupBy("status");
+        for (const row of counts) {
+            console.log(`${row.status}: ${row.count}`);
+        }
+
+        const failed = await knex("storage_deletions")
+            .select("key", "attempts", "last_error", "completed_at")
+            .where({ status: "failed" })
+            .orderBy("completed_at", "desc")
+            .limit(50);
+        for (const row of failed) {
+            console.log(`FAILED ${row.key} after ${row.attempts} tries: ${row.last_error}`);
+        }
+    } finally {
+        await knex.destroy();
+    }
+}
+
+main().catch((err) => {
+    console.error("Unable to check storage deletions:", err.message);
+    process.exitCode = 1;
+});
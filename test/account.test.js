@@ -0,0 +1,241 @@
+// Signing up, changing your password and resetting a forgotten one
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestContext, createUser, csrfTokenFrom, login } = require("./helpers");
+const { passwordStrengthError } = require("../lib/validation");
+
+// A new agent that has loaded a page, so it has a session and a CSRF token
+async function visit(app, path) {
+    const agent = request.agent(app);
+    const page = await agent.get(path);
+    return { agent, page, csrfToken: csrfTokenFrom(page.text) };
+}
+
+describe("password strength", () => {
+    it("wants long passwords that aren't common or the username", () => {
+        assert.match(passwordStrengthError("short"), /at least 10/);
+        assert.match(passwordStrengthError("password1234"), /too easy/);
+        assert.match(passwordStrengthError("aaaaaaaaaaaa"), /too easy/);
+        assert.match(passwordStrengthError("alice-rules-ok", "Alice"), /username/);
+        assert.equal(passwordStrengthError("purple monkey dishwasher", "alice"), "");
+    });
+});
+
+describe("registration", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "taken" });
+    });
+
+    after(() => context.close());
+
+    it("creates a member and logs them in", async () => {
+        const { agent, csrfToken } = await visit(context.app, "/register");
+
+        const res = await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "newbie", password: "purple monkey dishwasher", confirm_password: "purple monkey dishwasher" });
+        assert.equal(res.status, 302);
+
+        const user = await context.knex("users").where({ username: "newbie" }).first();
+        assert.equal(user.role, "member");
+        assert.equal((await agent.get("/users")).status, 200);
+
+        const audit = await context.knex("audit_log").where({ target_type: "user", target_id: user.id }).first();
+        assert.equal(audit.actor_id, user.id);
+    });
+
+    it("can't be used to sign up as an admin", async () => {
+        const { agent, csrfToken } = await visit(context.app, "/register");
+
+        await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "sneaky", password: "purple monkey dishwasher", confirm_password: "purple monkey dishwasher", role: "admin" });
+
+        const user = await context.knex("users").where({ username: "sneaky" }).first();
+        assert.equal(user.role, "member");
+    });
+
+    it("checks the username and password", async () => {
+        const { agent, csrfToken } = await visit(context.app, "/register");
+
+        const badName = await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "no spaces!", password: "purple monkey dishwasher", confirm_password: "purple monkey dishwasher" });
+        assert.equal(badName.status, 400);
+        assert.match(badName.text, /3 to 30 letters/);
+
+        const weak = await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "someone", password: "password1234", confirm_password: "password1234" });
+        assert.equal(weak.status, 400);
+        assert.match(weak.text, /too easy to guess/);
+
+        const mismatch = await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "someone", password: "purple monkey dishwasher", confirm_password: "purple monkey" });
+        assert.match(mismatch.text, /don&#39;t match/);
+
+        const taken = await agent.post("/register")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "taken", password: "purple monkey dishwasher", confirm_password: "purple monkey dishwasher" });
+        assert.equal(taken.status, 400);
+        assert.match(taken.text, /already taken/);
+    });
+
+    it("can be turned off", async () => {
+        const closed = await createTestContext({ env: { ALLOW_REGISTRATION: "false" } });
+        try {
+            const res = await request(closed.app).get("/register");
+            assert.equal(res.status, 404);
+        } finally {
+            await closed.close();
+        }
+    });
+});
+
+describe("changing your password", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "alice", password: "old password here" });
+    });
+
+    after(() => context.close());
+
+    it("needs the current password", async () => {
+        const { agent, csrfToken } = await login(context.app, "alice", "old password here");
+
+        const res = await agent.post("/change-password")
+            .type("form")
+            .send({ _csrf: csrfToken, current_password: "wrong", password: "brand new password", confirm_password: "brand new password" });
+        assert.equal(res.status, 400);
+        assert.match(res.text, /isn&#39;t your current password/);
+    });
+
+    it("changes it", async () => {
+        const { agent, csrfToken } = await login(context.app, "alice", "old password here");
+
+        const res = await agent.post("/change-password")
+            .type("form")
+            .send({ _csrf: csrfToken, current_password: "old password here", password: "brand new password", confirm_password: "brand new password" });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /has been changed/);
+
+        await login(context.app, "alice", "brand new password");
+        await assert.rejects(login(context.app, "alice", "old password here"));
+    });
+
+    it("works for long usernames, which are copied into the audit log", async () => {
+        const username = "a".repeat(80);
+        await createUser(context.knex, { username, password: "old password here" });
+        const { agent, csrfToken } = await login(context.app, username, "old password here");
+
+        const res = await agent.post("/change-password")
+            .type("form")
+            .send({ _csrf: csrfToken, current_password: "old password here", password: "brand new password", confirm_password: "brand new password" });
+        assert.equal(res.status, 200);
+
+        const audit = await context.knex("audit_log").where({ actor_username: username }).first();
+        assert.ok(audit);
+    });
+
+    it("is only for logged-in users", async () => {
+        const res = await request(context.app).get("/change-password");
+        assert.match(res.text, /Please log in/);
+    });
+});
+
+describe("resetting a forgotten password", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "bob", password: "forgotten password" });
+    });
+
+    after(() => context.close());
+
+    // Asks for a link and returns the token from the message the notifier was given
+    async function requestReset(username) {
+        const { agent, csrfToken } = await visit(context.app, "/forgot-password");
+        const res = await agent.post("/forgot-password")
+            .type("form")
+            .send({ _csrf: csrfToken, username });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /If that account exists/);
+
+        const message = context.notifier.sent.at(-1);
+        return message && new URL(message.link).searchParams.get("token");
+    }
+
+    async function submitReset(token, password) {
+        const { agent, page, csrfToken } = await visit(context.app, `/reset-password?token=${token}`);
+        assert.equal(page.status, 200);
+        return agent.post("/reset-password")
+            .type("form")
+            .send({ _csrf: csrfToken, token, password, confirm_password: password });
+    }
+
+    it("says the same thing whether or not the user exists", async () => {
+        const before = context.notifier.sent.length;
+        await requestReset("nobody");
+        assert.equal(context.notifier.sent.length, before);
+    });
+
+    it("sends a link that changes the password once", async () => {
+        const token = await requestReset("bob");
+        assert.ok(token);
+
+        const stored = await context.knex("password_reset_tokens").first();
+        assert.notEqual(stored.token_hash, token, "only a hash of the token is stored");
+
+        const res = await submitReset(token, "remembered at last");
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Log in with your new password/);
+        await login(context.app, "bob", "remembered at last");
+
+        const again = await request(context.app).get(`/reset-password?token=${token}`);
+        assert.equal(again.status, 400);
+        assert.match(again.text, /expired or was already used/);
+    });
+
+    it("only accepts the newest link", async () => {
+        const first = await requestReset("bob");
+        const second = await requestReset("bob");
+
+        assert.equal((await request(context.app).get(`/reset-password?token=${first}`)).status, 400);
+        assert.equal((await request(context.app).get(`/reset-password?token=${second}`)).status, 200);
+    });
+
+    it("refuses expired links", async () => {
+        const token = await requestReset("bob");
+        await context.knex("password_reset_tokens").update({ expires_at: new Date(Date.now() - 1000) });
+
+        const res = await request(context.app).get(`/reset-password?token=${token}`);
+        assert.equal(res.status, 400);
+    });
+
+    it("checks the new password", async () => {
+        const token = await requestReset("bob");
+
+        const res = await submitReset(token, "short");
+        assert.equal(res.status, 400);
+        assert.match(res.text, /at least 10 characters/);
+    });
+
+    it("stops working when the password is changed another way", async () => {
+        const token = await requestReset("bob");
+        const { agent, csrfToken } = await login(context.app, "bob", "remembered at last");
+        await agent.post("/change-password")
+            .type("form")
+            .send({ _csrf: csrfToken, current_password: "remembered at last", password: "another good one", confirm_password: "another good one" });
+
+        assert.equal((await request(context.app).get(`/reset-password?token=${token}`)).status, 400);
+    });
+});
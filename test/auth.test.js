@@ -0,0 +1,138 @@
+// Logging in, CSRF checks and the health endpoints
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestContext, createUser, csrfTokenFrom, login } = require("./helpers");
+const { isHashed } = require("../lib/passwords");
+
+describe("logging in", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "alice", password: "correct horse" });
+    });
+
+    after(() => context.close());
+
+    it("sends visitors who aren't logged in to the login page", async () => {
+        const res = await request(context.app).get("/");
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, "/login");
+    });
+
+    it("logs in with the right password", async () => {
+        const { agent } = await login(context.app, "alice", "correct horse");
+        const res = await agent.get("/users");
+        assert.equal(res.status, 200);
+        assert.match(res.text, /alice/);
+    });
+
+    it("starts a new session when logging in, so a planted session id or CSRF token stops working", async () => {
+        const agent = request.agent(context.app);
+        const loginPage = await agent.get("/login");
+        const oldCookie = loginPage.headers["set-cookie"][0].split(";")[0];
+        const oldToken = csrfTokenFrom(loginPage.text);
+
+        const res = await agent.post("/login")
+            .type("form")
+            .send({ username: "alice", password: "correct horse", _csrf: oldToken });
+        assert.equal(res.status, 302);
+        assert.notEqual(res.headers["set-cookie"][0].split(";")[0], oldCookie);
+
+        // Someone still holding the old cookie is not logged in
+        const planted = await request(context.app).get("/users").set("Cookie", oldCookie);
+        assert.match(planted.text, /Please log in/);
+
+        const stale = await agent.post("/change-password")
+            .type("form")
+            .send({ _csrf: oldToken, current_password: "correct horse", password: "a brand new password", confirm_password: "a brand new password" });
+        assert.equal(stale.status, 403);
+    });
+
+    it("hashes an old plain-text password when it is used to get an API token", async () => {
+        await context.knex("users").insert({ username: "legacy", password: "plain old password", role: "member" });
+
+        const res = await request(context.app)
+            .post("/api/v1/tokens")
+            .send({ username: "legacy", password: "plain old password" });
+        assert.equal(res.status, 201);
+
+        const user = await context.knex("users").where({ username: "legacy" }).first();
+        assert.ok(isHashed(user.password));
+
+        const unknown = await request(context.app)
+            .post("/api/v1/tokens")
+            .send({ username: "nobody", password: "plain old password" });
+        assert.equal(unknown.status, 401);
+    });
+
+    it("refuses the wrong password", async () => {
+        const agent = request.agent(context.app);
+        const csrfToken = csrfTokenFrom((await agent.get("/login")).text);
+
+        const res = await agent.post("/login")
+            .type("form")
+            .send({ username: "alice", password: "wrong", _csrf: csrfToken });
+        assert.equal(res.status, 200);
+        assert.match(res.text, /Invalid login/);
+    });
+
+    it("refuses a username that doesn't exist", async () => {
+        const agent = request.agent(context.app);
+        const csrfToken = csrfTokenFrom((await agent.get("/login")).text);
+
+        const res = await agent.post("/login")
+            .type("form")
+            .send({ username: "nobody", password: "correct horse", _csrf: csrfToken });
+        assert.match(res.text, /Invalid login/);
+    });
+
+    it("refuses a form without the CSRF token", async () => {
+        const agent = request.agent(context.app);
+        await agent.get("/login");
+
+        const res = await agent.post("/login")
+            .type("form")
+            .send({ username: "alice", password: "correct horse" });
+        assert.equal(res.status, 403);
+    });
+
+    it("logs out", async () => {
+        const { agent } = await login(context.app, "alice", "correct horse");
+        await agent.get("/logout");
+
+        const res = await agent.get("/");
+        assert.equal(res.headers.location, "/login");
+    });
+});
+
+describe("health endpoints", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext();
+    });
+
+    after(() => context.close());
+
+    it("answers /healthz without logging in", async () => {
+        const res = await request(context.app).get("/healthz");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.status, "ok");
+    });
+
+    it("reports the database and storage on /readyz", async () => {
+        const res = await request(context.app).get("/readyz");
+        assert.equal(res.status, 200);
+        assert.equal(res.body.checks.database.status, "ok");
+        assert.equal(res.body.checks.storage.driver, "memory");
+    });
+
+    it("serves Prometheus metrics", async () => {
+        const res = await request(context.app).get("/metrics");
+        assert.equal(res.status, 200);
+        assert.match(res.text, /http_requests_total/);
+    });
+});
@@ -0,0 +1,127 @@
+// Reading and checking the settings: types, defaults per environment, and refusing unsafe ones in production
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { ConfigError, loadConfig, configSummary } = require("../lib/config");
+
+// Everything production needs, so each test can break one thing
+const PRODUCTION = {
+    NODE_ENV: "production",
+    RDS_HOSTNAME: "db.internal",
+    RDS_USERNAME: "hobbies",
+    RDS_PASSWORD: "x7!Qm2#rTz9w",
+    RDS_DB_NAME: "hobbies",
+    SESSION_SECRET: "4f0c2b6e9d8a7f1e3c5b2a9d8e7f6c1b",
+    AWS_S3_BUCKET_NAME: "hobby-pictures",
+    AWS_REGION: "us-east-1",
+    APP_URL: "https://hobbies.example.com",
+    METRICS_TOKEN: "metrics-token",
+    NOTIFIER: "file"
+};
+
+// Returns the problems loadConfig() reports for env
+function problemsWith(env) {
+    try {
+        loadConfig(env);
+    } catch (err) {
+        assert.ok(err instanceof ConfigError);
+        return err.problems;
+    }
+    assert.fail("expected a ConfigError");
+}
+
+describe("configuration", () => {
+    it("turns the settings into numbers and booleans with development defaults", () => {
+        const config = loadConfig({ PORT: "8080", DB_SSL: "true", LOGIN_MAX_FAILURES: "4", ALLOW_REGISTRATION: "no" });
+
+        assert.equal(config.nodeEnv, "development");
+        assert.equal(config.server.port, 8080);
+        assert.equal(config.database.ssl, true);
+        assert.equal(config.database.host, "localhost");
+        assert.equal(config.loginLimits.maxFailures, 4);
+        assert.equal(config.loginLimits.windowMinutes, 15);
+        assert.equal(config.accounts.allowRegistration, false);
+        assert.equal(config.storage.driver, "local");
+        assert.equal(config.session.secureCookies, false);
+        assert.ok(Object.isFrozen(config.database));
+    });
+
+    it("makes up a session secret outside production, with a warning", () => {
+        const first = loadConfig({});
+        const second = loadConfig({});
+
+        assert.equal(first.session.secret.length, 64);
+        assert.notEqual(first.session.secret, second.session.secret);
+        assert.ok(first.warnings.some((warning) => warning.includes("SESSION_SECRET")));
+    });
+
+    it("reports every setting it can't read at once", () => {
+        const problems = problemsWith({ PORT: "80a", DB_SSL: "maybe", STORAGE_DRIVER: "ftp", APP_URL: "hobbies.example.com" });
+
+        assert.equal(problems.length, 4);
+        assert.match(problems.join("\n"), /PORT must be a whole number/);
+        assert.match(problems.join("\n"), /DB_SSL must be true or false/);
+        assert.match(problems.join("\n"), /STORAGE_DRIVER must be one of local, s3, memory/);
+        assert.match(problems.join("\n"), /APP_URL must be an http/);
+    });
+
+    it("refuses to fall back to the development database and secret in production", () => {
+        const problems = problemsWith({ NODE_ENV: "production" });
+
+        for (const name of ["RDS_HOSTNAME", "RDS_USERNAME", "RDS_PASSWORD", "RDS_DB_NAME", "SESSION_SECRET", "AWS_S3_BUCKET_NAME"]) {
+            assert.ok(problems.some((problem) => problem.startsWith(name)), `${name} should be reported`);
+        }
+    });
+
+    it("refuses well-known passwords, example secrets and memory storage in production", () => {
+        assert.match(problemsWith({ ...PRODUCTION, RDS_PASSWORD: "admin" }).join(), /well-known default password/);
+        assert.match(problemsWith({ ...PRODUCTION, SESSION_SECRET: "my-super-secret-key-12345" }).join(), /example value/);
+        assert.match(problemsWith({ ...PRODUCTION, SESSION_SECRET: "short" }).join(), /at least 32 characters/);
+        assert.match(problemsWith({ ...PRODUCTION, STORAGE_DRIVER: "memory" }).join(), /can't be used in production/);
+        assert.match(problemsWith({ ...PRODUCTION, AWS_ACCESS_KEY_ID: "your-access-key-id" }).join(), /AWS_SECRET_ACCESS_KEY must be set together/);
+    });
+
+    it("lets storage, sessions and the proxy be set separately from NODE_ENV", () => {
+        const production = loadConfig(PRODUCTION);
+        assert.equal(production.storage.driver, "s3");
+        assert.equal(production.session.secureCookies, true);
+        assert.equal(production.server.trustProxy, 1);
+        assert.deepEqual(production.warnings, []);
+
+        const local = loadConfig({ ...PRODUCTION, STORAGE_DRIVER: "local", SESSION_SECURE_COOKIE: "false", TRUST_PROXY: "0" });
+        assert.equal(local.storage.driver, "local");
+        assert.equal(local.session.secureCookies, false);
+        assert.equal(local.server.trustProxy, 0);
+
+        const s3 = loadConfig({ STORAGE_DRIVER: "s3", AWS_S3_BUCKET_NAME: "dev-bucket", AWS_REGION: "us-east-1" });
+        assert.equal(s3.storage.bucket, "dev-bucket");
+        assert.equal(s3.session.secureCookies, false);
+    });
+
+    it("only checks the sections that were asked for", () => {
+        const config = loadConfig({ ...PRODUCTION, STORAGE_DRIVER: "memory" }, { sections: ["database"] });
+
+        assert.equal(config.database.host, "db.internal");
+        assert.equal(config.storage, undefined);
+    });
+
+    it("doesn't load sharp, the AWS SDK or the metrics, so the database settings can be read on their own", () => {
+        // Each test file runs in its own process, and this one only loads lib/config.js
+        const loaded = Object.keys(require.cache);
+        for (const heavy of ["sharp", "@aws-sdk", "prom-client"]) {
+            assert.ok(!loaded.some((file) => file.includes(`node_modules/${heavy}/`)), `${heavy} should not be loaded`);
+        }
+    });
+
+        it("hides passwords, secrets and tokens in the summary", () => {
+        const summary = configSummary(loadConfig(PRODUCTION));
+        const text = JSON.stringify(summary);
+
+        assert.equal(summary.database.password, "[redacted]");
+        assert.equal(summary.session.secret, "[redacted]");
+        assert.equal(summary.metrics.token, "[redacted]");
+        assert.equal(summary.database.host, "db.internal");
+        assert.ok(!text.includes(PRODUCTION.RDS_PASSWORD));
+        assert.ok(!text.includes(PRODUCTION.SESSION_SECRET));
+    });
+});
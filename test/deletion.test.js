@@ -0,0 +1,71 @@
+// Deleting a user removes their hobbies, and the storage deletion worker removes their pictures
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, createUser, login, testImage } = require("./helpers");
+const { thumbnailKey } = require("../lib/images");
+const { createDeletionWorker } = require("../lib/storageDeletions");
+
+describe("deleting a user", () => {
+    let context;
+    let session;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "admin", role: "admin" });
+        session = await login(context.app, "admin");
+    });
+
+    after(() => context.close());
+
+    it("removes their hobbies and, through the worker, their pictures", async () => {
+        const { agent, csrfToken } = session;
+
+        await agent.post("/addUser")
+            .field("_csrf", csrfToken)
+            .field("username", "leaving")
+            .field("password", "password123")
+            .attach("profileImage", await testImage(), { filename: "leaving.png", contentType: "image/png" });
+        const user = await context.knex("users").where({ username: "leaving" }).first();
+        const imageKeys = [user.profile_image, thumbnailKey(user.profile_image)];
+
+        await agent.post(`/addHobbies/${user.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, hobby_description: "Hiking", date_learned: "2019-07-01" });
+
+        const res = await agent.post(`/deleteUser/${user.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 302);
+
+        assert.equal(await context.knex("users").where({ id: user.id }).first(), undefined);
+        assert.equal((await context.knex("hobbies").where({ user_id: user.id })).length, 0);
+
+        // The files are still there until the worker runs
+        const queued = await context.knex("storage_deletions").where({ status: "pending" }).pluck("key");
+        assert.deepEqual(queued.sort(), [...imageKeys].sort());
+        assert.ok(await context.storage.head(imageKeys[0]));
+
+        const result = await createDeletionWorker({ knex: context.knex, storage: context.storage }).runOnce();
+        assert.equal(result.deleted, 2);
+        assert.equal(result.failed, 0);
+
+        for (const key of imageKeys) {
+            assert.equal(await context.storage.head(key), null);
+        }
+    });
+
+    it("retries files the storage couldn't delete", async () => {
+        const { knex, storage } = context;
+        await knex("storage_deletions").insert({ key: "uploads/stuck.jpg" });
+
+        const failingStorage = { ...storage, delete: async () => { throw new Error("S3 is down"); } };
+        const first = await createDeletionWorker({ knex, storage: failingStorage }).runOnce();
+        assert.equal(first.failed, 1);
+
+        const row = await knex("storage_deletions").where({ key: "uploads/stuck.jpg" }).first();
+        assert.equal(row.status, "pending");
+        assert.equal(row.attempts, 1);
+        assert.match(row.last_error, /S3 is down/);
+    });
+});
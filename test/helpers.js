@@ -0,0 +1,108 @@
+// Shared set-up for the integration tests.
+// Every test file builds the real app (app.js) with stand-ins for the outside world:
+//   - pg-mem, an in-memory copy of Postgres, instead of a database server. The real migrations are run on it
+//   - the memory storage driver instead of S3 or the disk, so no AWS account is needed
+//   - the memory notifier, which keeps password reset messages in notifier.sent instead of printing them
+// Nothing is shared between test files, and nothing is left behind when the tests finish.
+
+// Only log errors, so the test output isn't buried in "Request finished" lines
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || "error";
+
+const path = require("path");
+const sharp = require("sharp");
+const request = require("supertest");
+const { newDb } = require("pg-mem");
+const { createApp } = require("../app");
+const { createStorage } = require("../lib/storage");
+const { SessionStore } = require("../lib/sessionStore");
+const { hashPassword } = require("../lib/passwords");
+const { createNotifier } = require("../lib/notifier");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "db", "migrations");
+
+// pg-mem doesn't understand "FOR UPDATE SKIP LOCKED" (used by the storage deletion worker).
+// The tests only ever use one connection, so there is never a locked row to skip - we just remove it.
+// Transactions get their own copy of the knex client, so the patch has to go on the client's prototype
+function allowSkipLocked(knex) {
+    const proto = Object.getPrototypeOf(knex.client);
+    if (proto._query.skipLockedRemoved) {
+        return;
+    }
+    const query = proto._query;
+    proto._query = function (connection, obj) {
+        return query.call(this, connection, { ...obj, sql: obj.sql.replace(/ skip locked/gi, "") });
+    };
+    proto._query.skipLockedRemoved = true;
+}
+
+// A fresh database, storage and app: { app, knex, storage, notifier, close }
+// env - extra settings for createApp(), e.g. { ALLOW_REGISTRATION: "false" }
+// storage - another storage driver, for the few tests that need real files (default: memory)
+// Call close() when the tests are done so the database connection doesn't keep the process alive
+async function createTestContext({ env = {}, storage = createStorage({ driver: "memory" }) } = {}) {
+    const knex = newDb().adapters.createKnex(0, { migrations: { directory: MIGRATIONS_DIR } });
+    allowSkipLocked(knex);
+    await knex.migrate.latest();
+
+    const notifier = createNotifier({ driver: "memory" });
+    // cleanupInterval: 0 - no timer clearing out old sessions while the tests run
+    const sessionStore = new SessionStore({ knex, tableName: "sessions", cleanupInterval: 0 });
+    const app = createApp({
+        knex,
+        storage,
+        sessionStore,
+        notifier,
+        env: { NODE_ENV: "test", SESSION_SECRET: "test-secret", ...env }
+    });
+
+    return { app, knex, storage, notifier, close: () => knex.destroy() };
+}
+
+// Inserts a user with a hashed password and returns the row
+async function createUser(knex, { username, password = "password123", role = "member", profile_image = null }) {
+    const [user] = await knex("users")
+        .insert({ username, password: await hashPassword(password), role, profile_image })
+        .returning("*");
+    return user;
+}
+
+// Pulls the CSRF token out of a page's hidden _csrf field
+function csrfTokenFrom(html) {
+    const match = html.match(/name="_csrf" value="([^"]+)"/);
+    if (!match) {
+        throw new Error("No CSRF token on the page");
+    }
+    return match[1];
+}
+
+// Logs in through the login form and returns { agent, csrfToken }.
+// The supertest agent keeps the session cookie, so later requests are made as this user.
+// Logging in starts a new session with a new CSRF token, so the token is read again afterwards
+async function login(app, username, password = "password123") {
+    const agent = request.agent(app);
+    const loginPage = await agent.get("/login");
+
+    const res = await agent.post("/login")
+        .type("form")
+        .send({ username, password, _csrf: csrfTokenFrom(loginPage.text) });
+    if (res.status !== 302) {
+        throw new Error(`Logging in as ${username} failed with status ${res.status}`);
+    }
+    const me = await agent.get("/api/v1/me");
+    return { agent, csrfToken: me.body.csrfToken };
+}
+
+// A small PNG to upload as a profile picture
+function testImage({ width = 64, height = 64 } = {}) {
+    return sharp({
+        create: { width, height, channels: 3, background: { r: 200, g: 80, b: 40 } }
+    }).png().toBuffer();
+}
+
+module.exports = {
+    createTestContext,
+    createUser,
+    csrfTokenFrom,
+    login,
+    testImage
+};
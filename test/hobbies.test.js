@@ -0,0 +1,91 @@
+// Adding, editing and deleting hobbies
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createTestContext, createUser, login } = require("./helpers");
+
+describe("hobbies", () => {
+    let context;
+    let member;
+    let other;
+    let session;
+
+    before(async () => {
+        context = await createTestContext();
+        member = await createUser(context.knex, { username: "member" });
+        other = await createUser(context.knex, { username: "other" });
+        session = await login(context.app, "member");
+    });
+
+    after(() => context.close());
+
+    async function addHobby(fields) {
+        const { agent, csrfToken } = session;
+        return agent.post(`/addHobbies/${member.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, hobby_description: "Guitar", date_learned: "2020-05-01", ...fields });
+    }
+
+    it("adds a hobby and lists it", async () => {
+        const res = await addHobby({ hobby_description: "Guitar" });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, `/displayHobbies/${member.id}`);
+
+        const list = await session.agent.get(`/displayHobbies/${member.id}`);
+        assert.equal(list.status, 200);
+        assert.match(list.text, /Guitar/);
+    });
+
+    it("shows what is wrong with an invalid hobby", async () => {
+        const res = await addHobby({ hobby_description: "", date_learned: "2999-01-01" });
+        assert.equal(res.status, 400);
+        assert.match(res.text, /Hobby description is required/);
+        assert.match(res.text, /can&#39;t be in the future|can't be in the future/);
+    });
+
+    it("edits a hobby", async () => {
+        const hobby = await context.knex("hobbies").where({ user_id: member.id }).first();
+        const { agent, csrfToken } = session;
+
+        const res = await agent.post(`/hobbies/${member.id}/edit/${hobby.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, hobby_description: "Bass guitar", date_learned: "2021-02-03" });
+        assert.equal(res.status, 302);
+
+        const updated = await context.knex("hobbies").where({ id: hobby.id }).first();
+        assert.equal(updated.hobby_description, "Bass guitar");
+
+        const audit = await context.knex("audit_log").where({ target_type: "hobby", target_id: hobby.id, action: "update" });
+        assert.equal(audit.length, 1);
+    });
+
+    it("doesn't let members change someone else's hobbies", async () => {
+        const res = await addHobby();
+        assert.equal(res.status, 302);
+
+        const forbidden = await session.agent.post(`/addHobbies/${other.id}`)
+            .type("form")
+            .send({ _csrf: session.csrfToken, hobby_description: "Chess", date_learned: "2020-05-01" });
+        assert.equal(forbidden.status, 403);
+    });
+
+    it("deletes a hobby", async () => {
+        const hobby = await context.knex("hobbies").where({ user_id: member.id }).first();
+        const { agent, csrfToken } = session;
+
+        const res = await agent.post(`/hobbies/${member.id}/delete/${hobby.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 302);
+        assert.equal(await context.knex("hobbies").where({ id: hobby.id }).first(), undefined);
+    });
+
+    it("answers 404 for a hobby that doesn't exist", async () => {
+        const { agent, csrfToken } = session;
+
+        const res = await agent.post(`/hobbies/${member.id}/delete/999999`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 404);
+    });
+});
@@ -0,0 +1,159 @@
+// Photos and PDFs attached to hobbies: uploading, the gallery and deleting them with their hobby or user
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestContext, createUser, login, testImage } = require("./helpers");
+const { reconcileStorage } = require("../lib/storageReconciliation");
+
+const PDF = Buffer.from("%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n");
+
+describe("hobby attachments", () => {
+    let context;
+    let member;
+    let session;
+    let otherSession;
+
+    before(async () => {
+        context = await createTestContext();
+        await createUser(context.knex, { username: "admin", role: "admin" });
+        member = await createUser(context.knex, { username: "member" });
+        session = await login(context.app, "member");
+        await createUser(context.knex, { username: "other" });
+        otherSession = await login(context.app, "other");
+    });
+
+    after(() => context.close());
+
+    // Adds a hobby through the form with the given files ([{ body, filename, contentType }])
+    async function addHobby(description, files) {
+        const { agent, csrfToken } = session;
+        const req = agent.post(`/addHobbies/${member.id}`)
+            .field("_csrf", csrfToken)
+            .field("hobby_description", description)
+            .field("date_learned", "2020-05-01");
+        for (const file of files) {
+            req.attach("attachments", file.body, { filename: file.filename, contentType: file.contentType });
+        }
+        return req;
+    }
+
+    function attachmentsOf(description) {
+        return context.knex("hobby_attachments")
+            .join("hobbies", "hobbies.id", "hobby_attachments.hobby_id")
+            .where("hobbies.hobby_description", description)
+            .select("hobby_attachments.*")
+            .orderBy("hobby_attachments.id");
+    }
+
+    it("saves several files with their type and size and shows them on the hobby page", async () => {
+        const res = await addHobby("Climbing", [
+            { body: await testImage(), filename: "summit.png", contentType: "image/png" },
+            { body: PDF, filename: "Belay Certificate.pdf", contentType: "application/pdf" }
+        ]);
+        assert.equal(res.status, 302);
+
+        const [photo, pdf] = await attachmentsOf("Climbing");
+        assert.equal(photo.content_type, "image/png");
+        assert.equal(photo.original_name, "summit.png");
+        assert.equal(pdf.content_type, "application/pdf");
+        assert.equal(pdf.size, PDF.length);
+        assert.match(pdf.key, /^attachments\/.+\/Belay-Certificate\.pdf$/);
+        assert.ok(await context.storage.head(photo.key));
+        assert.equal(pdf.uploaded_by, member.id);
+
+        const page = await session.agent.get(`/displayHobbies/${member.id}`);
+        assert.match(page.text, /Gallery/);
+        assert.ok(page.text.includes(`/attachments/${photo.id}`));
+        assert.match(page.text, /Belay Certificate\.pdf/);
+    });
+
+    it("only lets the hobby's owner and admins see and open the files", async () => {
+        const [, pdf] = await attachmentsOf("Climbing");
+
+        const own = await session.agent.get(`/attachments/${pdf.id}`);
+        assert.equal(own.status, 200);
+        assert.equal(own.headers["content-type"], "application/pdf");
+        assert.equal(Number(own.headers["content-length"]), PDF.length);
+
+        const adminSession = await login(context.app, "admin");
+        assert.equal((await adminSession.agent.get(`/attachments/${pdf.id}`)).status, 200);
+        assert.equal((await otherSession.agent.get(`/attachments/${pdf.id}`)).status, 403);
+        assert.match((await request(context.app).get(`/attachments/${pdf.id}`)).text, /Please log in/);
+        assert.equal((await session.agent.get(`/images/${pdf.key}`)).status, 404);
+        assert.equal((await session.agent.get("/attachments/999999")).status, 404);
+
+        // Other members still see the hobbies, without the attachments
+        const page = await otherSession.agent.get(`/displayHobbies/${member.id}`);
+        assert.match(page.text, /Climbing/);
+        assert.doesNotMatch(page.text, /Belay Certificate|Gallery/);
+
+        const hobbies = await otherSession.agent.get(`/api/v1/users/${member.id}/hobbies`);
+        assert.deepEqual(hobbies.body.data.map((hobby) => hobby.attachments), [[]]);
+    });
+
+    it("checks the stored files against hobby_attachments when reconciling storage", async () => {
+        const [photo, pdf] = await attachmentsOf("Climbing");
+        await context.storage.put("attachments/lost/notes.pdf", PDF, { contentType: "application/pdf" });
+        await context.storage.delete(pdf.key);
+
+        const report = await reconcileStorage({ knex: context.knex, storage: context.storage, graceMs: 0 });
+        const orphans = report.orphans.map((orphan) => orphan.key);
+
+        assert.ok(orphans.includes("attachments/lost/notes.pdf"));
+        assert.ok(!orphans.includes(photo.key));
+        assert.deepEqual(report.dangling.filter((reference) => reference.attachmentId), [{ attachmentId: pdf.id, key: pdf.key }]);
+    });
+
+    it("refuses files that aren't photos or PDFs, whatever they are called", async () => {
+        const res = await addHobby("Knitting", [
+            { body: Buffer.from("#!/bin/sh\necho hello\n"), filename: "pattern.pdf", contentType: "application/pdf" }
+        ]);
+        assert.equal(res.status, 400);
+        assert.match(res.text, /isn&#39;t a photo or a PDF/);
+
+        assert.equal(await context.knex("hobbies").where({ hobby_description: "Knitting" }).first(), undefined);
+    });
+
+    it("adds files through the API", async () => {
+        const { agent, csrfToken } = session;
+        const res = await agent.post(`/api/v1/users/${member.id}/hobbies`)
+            .set("X-CSRF-Token", csrfToken)
+            .field("description", "Sailing")
+            .field("dateLearned", "2018-06-01")
+            .attach("attachments", PDF, { filename: "licence.pdf", contentType: "application/pdf" });
+        assert.equal(res.status, 201);
+        assert.equal(res.body.attachments.length, 1);
+        assert.equal(res.body.attachments[0].name, "licence.pdf");
+
+        const hobby = await agent.get(`/api/v1/users/${member.id}/hobbies/${res.body.id}`);
+        assert.equal(hobby.body.attachments[0].contentType, "application/pdf");
+    });
+
+    it("queues the files for deletion with their hobby", async () => {
+        const keys = (await attachmentsOf("Climbing")).map((attachment) => attachment.key);
+        const hobby = await context.knex("hobbies").where({ hobby_description: "Climbing" }).first();
+        const { agent, csrfToken } = session;
+
+        const res = await agent.post(`/hobbies/${member.id}/delete/${hobby.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 302);
+
+        const queued = await context.knex("storage_deletions").where({ reason: `Deleted hobby ${hobby.id}` }).pluck("key");
+        assert.deepEqual(queued.sort(), keys.sort());
+        assert.equal((await context.knex("hobby_attachments").where({ hobby_id: hobby.id })).length, 0);
+    });
+
+    it("queues the files for deletion with their user", async () => {
+        const keys = (await attachmentsOf("Sailing")).map((attachment) => attachment.key);
+        const { agent, csrfToken } = await login(context.app, "admin");
+
+        await agent.post(`/deleteUser/${member.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+
+        const queued = await context.knex("storage_deletions").where({ reason: `Deleted user ${member.id}` }).pluck("key");
+        assert.deepEqual(queued.sort(), keys.sort());
+    });
+});
@@ -0,0 +1,197 @@
+// Login brute-force protection: backoff, lockouts, the per-address limit and unlocking
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const request = require("supertest");
+const { createTestContext, createUser, csrfTokenFrom, login } = require("./helpers");
+const { createLoginThrottle } = require("../lib/loginThrottle");
+
+const LIMITS = { maxFailures: 5, ipMaxFailures: 8, windowMinutes: 15, lockoutMinutes: 15, freeFailures: 2, backoffSeconds: 1 };
+
+describe("login throttle", () => {
+    let context;
+    let clock;
+    let throttle;
+
+    before(async () => {
+        context = await createTestContext();
+    });
+
+    after(() => context.close());
+
+    // A throttle with its own clock, so the tests can move time forward instead of waiting
+    function freshThrottle(limits = LIMITS) {
+        clock = new Date("2026-01-01T12:00:00Z");
+        throttle = createLoginThrottle({ knex: context.knex, limits, now: () => clock });
+    }
+
+    function advance(seconds) {
+        clock = new Date(clock.getTime() + seconds * 1000);
+    }
+
+    it("lets the first few failures through, then doubles the wait", async () => {
+        freshThrottle();
+        await throttle.recordFailure("carol", "10.0.0.1");
+        assert.equal((await throttle.check("carol", "10.0.0.1")).allowed, true);
+
+        await throttle.recordFailure("carol", "10.0.0.1");
+        const first = await throttle.check("carol", "10.0.0.1");
+        assert.equal(first.allowed, false);
+        assert.equal(first.retryAfterSeconds, 1);
+
+        advance(1);
+        await throttle.recordFailure("Carol ", "10.0.0.1");
+        assert.equal((await throttle.check("carol", "10.0.0.1")).retryAfterSeconds, 2);
+    });
+
+    it("locks the username after too many failures", async () => {
+        freshThrottle();
+        let result;
+        for (let i = 0; i < LIMITS.maxFailures; i++) {
+            result = await throttle.recordFailure("dave", `10.0.1.${i}`);
+            advance(60);
+        }
+        assert.ok(result.lockedUntil);
+
+        const check = await throttle.check("dave", "10.0.9.9");
+        assert.equal(check.allowed, false);
+        assert.equal(check.scope, "account");
+        assert.match(check.message, /Try again in \d+ minutes/);
+
+        advance(LIMITS.lockoutMinutes * 60);
+        assert.equal((await throttle.check("dave", "10.0.9.9")).allowed, true);
+    });
+
+    it("locks an address that fails for many usernames", async () => {
+        freshThrottle();
+        for (let i = 0; i < LIMITS.ipMaxFailures; i++) {
+            await throttle.recordFailure(`user${i}`, "10.0.2.1");
+        }
+
+        const check = await throttle.check("someone-new", "10.0.2.1");
+        assert.equal(check.allowed, false);
+        assert.equal(check.scope, "ip");
+        assert.equal((await throttle.check("someone-new", "10.0.2.2")).allowed, true);
+    });
+
+    it("forgives a username's failures after a successful login", async () => {
+        freshThrottle();
+        await throttle.recordFailure("erin", "10.0.3.1");
+        await throttle.recordFailure("erin", "10.0.3.1");
+        await throttle.recordSuccess("erin", "10.0.3.1");
+
+        assert.equal((await throttle.check("erin", "10.0.3.1")).allowed, true);
+        const outcomes = (await throttle.listAttempts({ username: "erin" })).map((attempt) => attempt.outcome);
+        assert.deepEqual(outcomes, ["success", "failure", "failure"]);
+    });
+
+    it("starts counting again once the window is over", async () => {
+        freshThrottle();
+        await throttle.recordFailure("frank", "10.0.4.1");
+        await throttle.recordFailure("frank", "10.0.4.1");
+        advance(LIMITS.windowMinutes * 60);
+
+        assert.equal((await throttle.check("frank", "10.0.4.1")).allowed, true);
+        await throttle.recordFailure("frank", "10.0.4.1");
+        const row = await context.knex("login_throttles").where({ scope: "account", key: "frank" }).first();
+        assert.equal(row.failures, 1);
+    });
+
+    it("prunes old attempts and limits that are over, but not a lockout still running", async () => {
+        freshThrottle();
+        for (let i = 0; i < LIMITS.maxFailures; i++) {
+            await throttle.recordFailure("helen", "10.0.5.1");
+        }
+        await context.knex("login_attempts").insert({
+            username: "helen",
+            outcome: "failure",
+            created_at: new Date(clock.getTime() - 91 * 24 * 60 * 60 * 1000)
+        });
+
+        advance(60);
+        await throttle.prune();
+        assert.equal((await context.knex("login_attempts").where({ username: "helen" })).length, LIMITS.maxFailures);
+        assert.equal((await throttle.check("helen", "10.0.5.2")).allowed, false);
+
+        advance(LIMITS.lockoutMinutes * 60);
+        await throttle.prune();
+        assert.deepEqual(await context.knex("login_throttles").whereIn("key", ["helen", "10.0.5.1"]), []);
+    });
+});
+
+describe("logging in with limits", () => {
+    let context;
+
+    before(async () => {
+        context = await createTestContext({
+            env: { LOGIN_MAX_FAILURES: "4", LOGIN_FREE_FAILURES: "10", LOGIN_IP_MAX_FAILURES: "100" }
+        });
+        await createUser(context.knex, { username: "admin", role: "admin" });
+        await createUser(context.knex, { username: "grace", password: "right password" });
+    });
+
+    after(() => context.close());
+
+    async function tryLogin(username, password) {
+        const agent = request.agent(context.app);
+        const csrfToken = csrfTokenFrom((await agent.get("/login")).text);
+        return agent.post("/login")
+            .type("form")
+            .send({ username, password, _csrf: csrfToken });
+    }
+
+    it("shows the same message for wrong passwords and unknown usernames, then locks both", async () => {
+        for (const username of ["grace", "nobody"]) {
+            for (let i = 0; i < 4; i++) {
+                const res = await tryLogin(username, "wrong");
+                assert.equal(res.status, 200);
+                assert.match(res.text, /Invalid login/);
+            }
+            const locked = await tryLogin(username, "wrong");
+            assert.equal(locked.status, 429);
+            assert.match(locked.text, /Too many failed logins/);
+            assert.ok(locked.headers["retry-after"]);
+        }
+    });
+
+    it("refuses even the right password while locked", async () => {
+        const res = await tryLogin("grace", "right password");
+        assert.equal(res.status, 429);
+
+        const attempts = await context.knex("login_attempts").where({ username: "grace" }).orderBy("id", "desc");
+        assert.equal(attempts[0].outcome, "blocked");
+    });
+
+    it("applies to API tokens too", async () => {
+        const res = await request(context.app)
+            .post("/api/v1/tokens")
+            .send({ username: "grace", password: "right password" });
+        assert.equal(res.status, 429);
+        assert.match(res.body.error, /Too many failed logins/);
+        assert.ok(res.headers["retry-after"]);
+    });
+
+    it("lets an admin see and unlock the account", async () => {
+        const { agent, csrfToken } = await login(context.app, "admin");
+
+        const page = await agent.get("/admin/logins");
+        assert.equal(page.status, 200);
+        assert.match(page.text, /grace/);
+
+        const res = await agent.post("/admin/logins/unlock")
+            .type("form")
+            .send({ _csrf: csrfToken, scope: "account", key: "grace" });
+        assert.equal(res.status, 302);
+
+        assert.equal((await tryLogin("grace", "right password")).status, 302);
+
+        const grace = await context.knex("users").where({ username: "grace" }).first();
+        const audit = await context.knex("audit_log").where({ target_type: "user", target_id: grace.id }).first();
+        assert.equal(audit.action, "update");
+    });
+
+    it("only shows login activity to admins", async () => {
+        const { agent } = await login(context.app, "grace", "right password");
+        assert.equal((await agent.get("/admin/logins")).status, 403);
+    });
+});
@@ -0,0 +1,202 @@
+// The profile picture history: earlier pictures are kept, can be restored and are pruned after a few uploads
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { newDb } = require("pg-mem");
+const { createTestContext, createUser, login, testImage } = require("./helpers");
+const { thumbnailKey } = require("../lib/images");
+const { reconcileStorage } = require("../lib/storageReconciliation");
+const { createProfileImages } = require("../lib/profileImages");
+const { createStorage } = require("../lib/storage");
+
+describe("profile picture history", () => {
+    let context;
+    let adminSession;
+    let carol;
+
+    before(async () => {
+        context = await createTestContext({ env: { PROFILE_IMAGE_HISTORY: "3" } });
+        await createUser(context.knex, { username: "admin", role: "admin" });
+        carol = await createUser(context.knex, { username: "carol" });
+        await createUser(context.knex, { username: "dave" });
+        adminSession = await login(context.app, "admin");
+    });
+
+    after(() => context.close());
+
+    // Uploads a new picture for carol through the edit page and returns her new key
+    async function uploadPicture(width) {
+        const { agent, csrfToken } = adminSession;
+        const res = await agent.post(`/editUser/${carol.id}`)
+            .field("_csrf", csrfToken)
+            .field("username", "carol")
+            .field("password", "")
+            .attach("profileImage", await testImage({ width }), { filename: "carol.png", contentType: "image/png" });
+        assert.equal(res.status, 302);
+        return (await context.knex("users").where({ id: carol.id }).first()).profile_image;
+    }
+
+    function history() {
+        return context.knex("profile_images").where({ user_id: carol.id }).orderBy("id");
+    }
+
+    it("records who uploaded each picture and how big it is", async () => {
+        const key = await uploadPicture(40);
+        const [image] = await history();
+
+        assert.equal(image.key, key);
+        assert.equal(image.content_type, "image/jpeg");
+        assert.ok(image.size > 0);
+        const admin = await context.knex("users").where({ username: "admin" }).first();
+        assert.equal(image.uploaded_by, admin.id);
+    });
+
+    it("shows earlier pictures on the edit page and restores one", async () => {
+        const [first] = await history();
+        const second = await uploadPicture(50);
+
+        const { agent, csrfToken } = adminSession;
+        const page = await agent.get(`/editUser/${carol.id}`);
+        assert.match(page.text, /Earlier Pictures/);
+        assert.match(page.text, new RegExp(`/images/${first.id}/restore`));
+
+        const res = await agent.post(`/editUser/${carol.id}/images/${first.id}/restore`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 302);
+
+        const user = await context.knex("users").where({ id: carol.id }).first();
+        assert.equal(user.profile_image, first.key);
+
+        const audit = await context.knex("audit_log")
+            .where({ target_type: "profile_image", target_id: carol.id })
+            .orderBy("id", "desc")
+            .first();
+        assert.equal(JSON.parse(audit.before).key, second);
+        assert.equal(JSON.parse(audit.after).key, first.key);
+    });
+
+    it("prunes the least recently used pictures, never the current one", async () => {
+        // carol has 2 pictures and the first (restored) one is current; 2 more uploads go past the limit of 3
+        const [first, second] = await history();
+        await uploadPicture(60);
+        const newest = await uploadPicture(70);
+
+        const kept = (await history()).map((image) => image.key);
+        assert.equal(kept.length, 3);
+        assert.ok(kept.includes(newest));
+        assert.ok(kept.includes(first.key), "the restored picture was used more recently than the second upload");
+        assert.ok(!kept.includes(second.key));
+
+        const queued = await context.knex("storage_deletions").pluck("key");
+        assert.ok(queued.includes(second.key));
+        assert.ok(queued.includes(thumbnailKey(second.key)));
+    });
+
+    it("won't restore a picture whose files are gone", async () => {
+        const current = (await context.knex("users").where({ id: carol.id }).first()).profile_image;
+        const old = (await history()).find((image) => image.key !== current);
+        await context.storage.delete(old.key);
+
+        const { agent, csrfToken } = adminSession;
+        const res = await agent.post(`/editUser/${carol.id}/images/${old.id}/restore`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(res.status, 409);
+
+        const user = await context.knex("users").where({ id: carol.id }).first();
+        assert.equal(user.profile_image, current);
+    });
+
+    it("only restores the user's own pictures", async () => {
+        const [image] = await history();
+        const { agent, csrfToken } = await login(context.app, "dave");
+
+        const other = await agent.post(`/editUser/${carol.id}/images/${image.id}/restore`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(other.status, 403);
+
+        const dave = await context.knex("users").where({ username: "dave" }).first();
+        const wrongUser = await agent.post(`/editUser/${dave.id}/images/${image.id}/restore`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+        assert.equal(wrongUser.status, 404);
+    });
+
+    it("lists and restores pictures through the API", async () => {
+        const { agent, csrfToken } = adminSession;
+        const list = await agent.get(`/api/v1/users/${carol.id}/images`);
+        assert.equal(list.status, 200);
+        assert.equal(list.body.data.filter((image) => image.current).length, 1);
+
+        const stored = [];
+        for (const image of list.body.data) {
+            if (!image.current && await context.storage.head(image.key)) {
+                stored.push(image);
+            }
+        }
+        const res = await agent.post(`/api/v1/users/${carol.id}/images/${stored[0].id}/restore`)
+            .set("X-CSRF-Token", csrfToken);
+        assert.equal(res.status, 200);
+        assert.equal(res.body.profileImage.key, stored[0].key);
+    });
+
+    it("doesn't count kept pictures as orphans", async () => {
+        const report = await reconcileStorage({ knex: context.knex, storage: context.storage, graceMs: 0 });
+        const kept = await context.knex("profile_images").pluck("key");
+        const orphans = report.orphans.map((orphan) => orphan.key);
+
+        assert.ok(kept.every((key) => !orphans.includes(key)));
+    });
+
+    it("queues every kept picture for deletion with the user", async () => {
+        const kept = await context.knex("profile_images").where({ user_id: carol.id }).pluck("key");
+        const { agent, csrfToken } = adminSession;
+
+        await agent.post(`/deleteUser/${carol.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken });
+
+        const queued = await context.knex("storage_deletions").where({ reason: `Deleted user ${carol.id}` }).pluck("key");
+        assert.deepEqual(queued.sort(), kept.flatMap((key) => [key, thumbnailKey(key)]).sort());
+        assert.equal((await context.knex("profile_images").where({ user_id: carol.id })).length, 0);
+    });
+});
+
+describe("profile pictures shared by several users", () => {
+    it("gives each user a history row, and never deletes a file another user still uses", async () => {
+        const knex = newDb().adapters.createKnex(0, { migrations: { directory: path.join(__dirname, "..", "db", "migrations") } });
+        try {
+            // Stop before the profile_images migration and add users from the days when uploads were saved under
+            // their original name, so both point at the same file
+            const [, pending] = await knex.migrate.list();
+            for (const migration of pending.filter((pendingMigration) => pendingMigration.file < "20261019000012")) {
+                await knex.migrate.up({ name: migration.file });
+            }
+            const [alice, bob] = await knex("users")
+                .insert([
+                    { username: "alice", password: "x", profile_image: "uploads/photo.jpg" },
+                    { username: "bob", password: "x", profile_image: "uploads/photo.jpg" }
+                ])
+                .returning("*");
+            await knex.migrate.latest();
+
+            assert.equal((await knex("profile_images").where({ key: "uploads/photo.jpg" })).length, 2);
+
+            // Deleting alice leaves the file alone, because bob still uses it
+            const profileImages = createProfileImages(createStorage({ driver: "memory" }), { historyLimit: 1 });
+            await profileImages.queueUserProfileImagesDeletion(knex, alice, "Deleted user");
+
+            // bob moves on to a new picture and his history is pruned, but alice's history still has the file
+            await knex("users").where({ id: bob.id }).update({ profile_image: "uploads/bob/avatar.jpg" });
+            await profileImages.recordProfileImageUpload(knex, bob.id, { key: "uploads/bob/avatar.jpg" }, bob.id);
+            assert.deepEqual(await knex("profile_images").where({ user_id: bob.id }).pluck("key"), ["uploads/bob/avatar.jpg"]);
+
+            assert.deepEqual(await knex("storage_deletions").where({ key: "uploads/photo.jpg" }), []);
+        } finally {
+            await knex.destroy();
+        }
+    });
+});
@@ -0,0 +1,158 @@
+// The S3 storage driver, run against a fake S3 client instead of AWS.
+// The fake keeps objects in a Map and answers the same commands the driver sends
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { S3Client } = require("@aws-sdk/client-s3");
+const { createS3Driver } = require("../lib/storage/s3Driver");
+
+// Answers PutObject, GetObject, HeadObject, DeleteObject, ListObjectsV2, HeadBucket and CopyObject like S3 would.
+// listPageSize is small so the driver has to follow continuation tokens.
+// With versioning, every put is also kept under a version id, and a deleted object can be copied back from one
+function createFakeS3Client({ listPageSize = 2, versioning = false } = {}) {
+    const objects = new Map();
+    const versions = new Map();
+    const notFound = (name) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: 404 } });
+
+    const handlers = {
+        PutObjectCommand: ({ Key, Body, ContentType }) => {
+            const object = { body: Buffer.from(Body), contentType: ContentType, lastModified: new Date() };
+            objects.set(Key, object);
+            if (!versioning) {
+                return {};
+            }
+            const versionId = `v${versions.size + 1}`;
+            versions.set(versionId, { key: Key, object });
+            return { VersionId: versionId };
+        },
+        CopyObjectCommand: ({ Bucket, Key, CopySource }) => {
+            const [source, query] = CopySource.split("?");
+            const version = versions.get(new URLSearchParams(query).get("versionId"));
+            if (!version || decodeURIComponent(source) !== `${Bucket}/${version.key}`) {
+                throw notFound("NoSuchVersion");
+            }
+            objects.set(Key, version.object);
+            return {};
+        },
+        GetObjectCommand: ({ Key }) => {
+            const object = objects.get(Key);
+            if (!object) {
+                throw notFound("NoSuchKey");
+            }
+            return { ContentType: object.contentType, Body: { transformToByteArray: async () => object.body } };
+        },
+        HeadObjectCommand: ({ Key }) => {
+            const object = objects.get(Key);
+            if (!object) {
+                throw notFound("NotFound");
+            }
+            return { ContentLength: object.body.length, ContentType: object.contentType, LastModified: object.lastModified };
+        },
+        DeleteObjectCommand: ({ Key }) => {
+            objects.delete(Key);
+            return {};
+        },
+        ListObjectsV2Command: ({ Prefix, ContinuationToken }) => {
+            const keys = [...objects.keys()].filter((key) => key.startsWith(Prefix)).sort();
+            const start = ContinuationToken ? Number(ContinuationToken) : 0;
+            const page = keys.slice(start, start + listPageSize);
+            const next = start + listPageSize;
+            return {
+                Contents: page.map((key) => ({ Key: key, Size: objects.get(key).body.length })),
+                IsTruncated: next < keys.length,
+                NextContinuationToken: String(next)
+            };
+        },
+        HeadBucketCommand: () => ({})
+    };
+
+    return {
+        objects,
+        async send(command) {
+            return handlers[command.constructor.name](command.input);
+        }
+    };
+}
+
+describe("s3 storage driver", () => {
+    it("needs a bucket name", () => {
+        assert.throws(() => createS3Driver({ region: "us-east-1" }), /bucket name/);
+    });
+
+    it("puts, reads, heads and deletes objects", async () => {
+        const storage = createS3Driver({ bucket: "photos", region: "us-east-1", client: createFakeS3Client() });
+
+        await storage.put("uploads/a.jpg", Buffer.from("jpeg bytes"), { contentType: "image/jpeg" });
+
+        const object = await storage.get("uploads/a.jpg");
+        assert.equal(object.body.toString(), "jpeg bytes");
+        assert.equal(object.contentType, "image/jpeg");
+        assert.equal((await storage.head("uploads/a.jpg")).size, 10);
+
+        await storage.delete("uploads/a.jpg");
+        assert.equal(await storage.get("uploads/a.jpg"), null);
+        assert.equal(await storage.head("uploads/a.jpg"), null);
+    });
+
+    it("lists every page of keys under a prefix", async () => {
+        const storage = createS3Driver({ bucket: "photos", region: "us-east-1", client: createFakeS3Client() });
+        for (const name of ["a", "b", "c", "d", "e"]) {
+            await storage.put(`uploads/${name}.jpg`, Buffer.from(name));
+        }
+        await storage.put("exports/users.csv", Buffer.from("csv"));
+
+        const keys = (await storage.list("uploads/")).map((object) => object.key);
+        assert.deepEqual(keys, ["uploads/a.jpg", "uploads/b.jpg", "uploads/c.jpg", "uploads/d.jpg", "uploads/e.jpg"]);
+    });
+
+    it("returns version ids and restores deleted objects when the bucket keeps versions", async () => {
+        const unversioned = createS3Driver({ bucket: "photos", region: "us-east-1", client: createFakeS3Client() });
+        assert.equal((await unversioned.put("uploads/a.jpg", Buffer.from("a"))).versionId, null);
+
+        const storage = createS3Driver({ bucket: "photos", region: "us-east-1", client: createFakeS3Client({ versioning: true }) });
+        const { versionId } = await storage.put("uploads/my photo.jpg", Buffer.from("old"), { contentType: "image/jpeg" });
+        assert.ok(versionId);
+
+        await storage.delete("uploads/my photo.jpg");
+        assert.equal(await storage.head("uploads/my photo.jpg"), null);
+
+        await storage.restoreVersion("uploads/my photo.jpg", versionId);
+        assert.equal((await storage.get("uploads/my photo.jpg")).body.toString(), "old");
+    });
+
+    it("links to the app by default and to the bucket with publicUrls", () => {
+        const client = createFakeS3Client();
+        const key = "uploads/my photo.jpg";
+
+        assert.equal(createS3Driver({ bucket: "photos", region: "us-east-1", client }).url(key), "/images/uploads/my%20photo.jpg");
+        assert.equal(
+            createS3Driver({ bucket: "photos", region: "us-east-1", client, publicUrls: true }).url(key),
+            "https://photos.s3.us-east-1.amazonaws.com/uploads/my%20photo.jpg"
+        );
+        assert.equal(
+            createS3Driver({ bucket: "photos", endpoint: "http://localhost:9000/", client, publicUrls: true }).url(key),
+            "http://localhost:9000/photos/uploads/my%20photo.jpg"
+        );
+    });
+
+    it("presigns GET URLs without calling AWS", async () => {
+        // Signing only needs credentials, not a connection
+        const client = new S3Client({
+            region: "us-east-1",
+            credentials: { accessKeyId: "test", secretAccessKey: "test" }
+        });
+        const storage = createS3Driver({ bucket: "photos", region: "us-east-1", client, presignExpiresIn: 60 });
+
+        const signed = new URL(await storage.signedUrl("uploads/a.jpg"));
+        assert.equal(signed.pathname, "/uploads/a.jpg");
+        assert.equal(signed.searchParams.get("X-Amz-Expires"), "60");
+        assert.ok(signed.searchParams.get("X-Amz-Signature"));
+
+        const attachment = new URL(await storage.signedUrl("attachments/b/cert.pdf", 60, {
+            contentType: "application/pdf",
+            contentDisposition: "inline; filename=\"cert.pdf\""
+        }));
+        assert.equal(attachment.searchParams.get("response-content-type"), "application/pdf");
+        assert.equal(attachment.searchParams.get("response-content-disposition"), "inline; filename=\"cert.pdf\"");
+    });
+});
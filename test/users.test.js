@@ -0,0 +1,288 @@
+// Adding, editing and deleting users, with profile picture uploads
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { createTestContext, createUser, login, testImage } = require("./helpers");
+const { thumbnailKey } = require("../lib/images");
+const { createStorage } = require("../lib/storage");
+const { loadConfig } = require("../lib/config");
+const { registry } = require("../lib/metrics");
+
+describe("users", () => {
+    let context;
+    let admin;
+    let member;
+    let adminSession;
+    let memberSession;
+
+    before(async () => {
+        context = await createTestContext();
+        admin = await createUser(context.knex, { username: "admin", role: "admin" });
+        member = await createUser(context.knex, { username: "member" });
+        adminSession = await login(context.app, "admin");
+        memberSession = await login(context.app, "member");
+    });
+
+    after(() => context.close());
+
+    it("lets an admin add a user with a profile picture", async () => {
+        const { agent, csrfToken } = adminSession;
+
+        const res = await agent.post("/addUser")
+            .field("_csrf", csrfToken)
+            .field("username", "carol")
+            .field("password", "password123")
+            .attach("profileImage", await testImage(), { filename: "carol.png", contentType: "image/png" });
+        assert.equal(res.status, 302);
+        assert.equal(res.headers.location, "/users");
+
+        const carol = await context.knex("users").where({ username: "carol" }).first();
+        assert.equal(carol.role, "member");
+        assert.ok(carol.profile_image, "the storage key is saved");
+        assert.ok(await context.storage.head(carol.profile_image), "the avatar is stored");
+        assert.ok(await context.storage.head(thumbnailKey(carol.profile_image)), "the thumbnail is stored");
+
+        const audit = await context.knex("audit_log").where({ target_type: "user", target_id: carol.id });
+        assert.equal(audit.length, 1);
+        assert.equal(audit[0].action, "create");
+        assert.equal(audit[0].actor_id, admin.id);
+    });
+
+    it("serves stored pictures to logged-in users only, and nothing outside the upload folders", async () => {
+        const carol = await context.knex("users").where({ username: "carol" }).first();
+        await context.storage.put("private/report.txt", Buffer.from("secret"), { contentType: "text/plain" });
+
+        const picture = await memberSession.agent.get(`/images/${carol.profile_image}`);
+        assert.equal(picture.status, 200);
+        assert.equal(picture.headers["content-type"], "image/jpeg");
+
+        const anonymous = await request(context.app).get(`/images/${carol.profile_image}`);
+        assert.doesNotMatch(anonymous.headers["content-type"], /image/);
+        assert.match(anonymous.text, /Please log in/);
+
+        assert.equal((await memberSession.agent.get("/images/private/report.txt")).status, 404);
+        assert.equal((await memberSession.agent.get("/images/uploads/..%2Fprivate/report.txt")).status, 404);
+    });
+
+    it("refuses a file that isn't an image", async () => {
+        const { agent, csrfToken } = adminSession;
+
+        const res = await agent.post("/addUser")
+            .field("_csrf", csrfToken)
+            .field("username", "dave")
+            .field("password", "password123")
+            .attach("profileImage", Buffer.from("not a picture"), { filename: "dave.png", contentType: "image/png" });
+        assert.equal(res.status, 400);
+        assert.equal(await context.knex("users").where({ username: "dave" }).first(), undefined);
+    });
+
+    it("refuses a picture over the size limit", async () => {
+        const { agent, csrfToken } = adminSession;
+
+        const res = await agent.post("/addUser")
+            .field("_csrf", csrfToken)
+            .attach("profileImage", Buffer.alloc(6 * 1024 * 1024), { filename: "huge.png", contentType: "image/png" });
+        assert.equal(res.status, 400);
+        assert.match(res.text, /too large/i);
+    });
+
+    it("only reads large import files from admins", async () => {
+        const sixMegabytes = Buffer.alloc(6 * 1024 * 1024, "a");
+        const tooLarge = async () => {
+            const metric = await registry.getSingleMetric("upload_failures_total").get();
+            const value = metric.values.find((sample) => sample.labels.reason === "LIMIT_FILE_SIZE");
+            return value ? value.value : 0;
+        };
+
+        const before = await tooLarge();
+        const refused = await memberSession.agent.post("/admin/import")
+            .field("_csrf", memberSession.csrfToken)
+            .attach("dataFile", sixMegabytes, { filename: "users.csv", contentType: "text/csv" });
+        assert.equal(refused.status, 403);
+        assert.equal(await tooLarge(), before + 1, "the member gets the 5MB limit");
+
+        const read = await adminSession.agent.post("/admin/import")
+            .field("_csrf", adminSession.csrfToken)
+            .attach("dataFile", sixMegabytes, { filename: "users.csv", contentType: "text/csv" });
+        assert.doesNotMatch(read.text, /too large/);
+        assert.equal(await tooLarge(), before + 1, "the admin gets the import limit");
+    });
+
+    it("refuses a username that is already taken", async () => {
+        const { agent, csrfToken } = adminSession;
+
+        const res = await agent.post("/addUser")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "member", password: "password123" });
+        assert.equal(res.status, 400);
+        assert.match(res.text, /already taken/);
+    });
+
+    it("queues the picture for deletion when the user can't be saved", async () => {
+        const { agent, csrfToken } = adminSession;
+        const before = await context.knex("storage_deletions").pluck("key");
+
+        const page = await agent.post("/addUser")
+            .field("_csrf", csrfToken)
+            .field("username", "member")
+            .field("password", "password123")
+            .attach("profileImage", await testImage(), { filename: "dup.png", contentType: "image/png" });
+        assert.equal(page.status, 400);
+
+        const api = await agent.patch(`/api/v1/users/${admin.id}`)
+            .set("X-CSRF-Token", csrfToken)
+            .field("username", "member")
+            .attach("profileImage", await testImage(), { filename: "dup.png", contentType: "image/png" });
+        assert.equal(api.status, 409);
+
+        const queued = (await context.knex("storage_deletions").pluck("key")).filter((key) => !before.includes(key));
+        assert.equal(queued.length, 4, "both avatars and both thumbnails");
+        const referenced = await context.knex("profile_images").pluck("key");
+        assert.ok(queued.every((key) => !referenced.includes(key)));
+    });
+
+    it("only lets admins add users", async () => {
+        const { agent, csrfToken } = memberSession;
+
+        const res = await agent.post("/addUser")
+            .type("form")
+            .send({ _csrf: csrfToken, username: "eve", password: "password123" });
+        assert.equal(res.status, 403);
+    });
+
+    it("lets members edit themselves but nobody else", async () => {
+        const { agent, csrfToken } = memberSession;
+
+        const own = await agent.post(`/editUser/${member.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, username: "member", password: "" });
+        assert.equal(own.status, 302);
+
+        const other = await agent.post(`/editUser/${admin.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, username: "hacked", password: "" });
+        assert.equal(other.status, 403);
+    });
+
+    it("sends people to /change-password for their own password", async () => {
+        const { agent, csrfToken } = memberSession;
+
+        const page = await agent.post(`/editUser/${member.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, username: "member", password: "x" });
+        assert.equal(page.status, 400);
+        assert.match(page.text, /Change Password page/);
+
+        const api = await agent.patch(`/api/v1/users/${member.id}`)
+            .set("X-CSRF-Token", csrfToken)
+            .send({ password: "another password" });
+        assert.equal(api.status, 400);
+        assert.ok(api.body.details.password);
+
+        await login(context.app, "member");
+
+        // Admins can still set a new password for someone else
+        const reset = await adminSession.agent.post(`/editUser/${member.id}`)
+            .type("form")
+            .send({ _csrf: adminSession.csrfToken, username: "member", password: "set by the admin" });
+        assert.equal(reset.status, 302);
+        await login(context.app, "member", "set by the admin");
+    });
+
+    it("doesn't let members make themselves admins", async () => {
+        const { agent, csrfToken } = memberSession;
+
+        await agent.post(`/editUser/${member.id}`)
+            .type("form")
+            .send({ _csrf: csrfToken, username: "member", password: "", role: "admin" });
+
+        const row = await context.knex("users").where({ id: member.id }).first();
+        assert.equal(row.role, "member");
+    });
+
+    it("answers a bad id with 400 and a missing user with 404", async () => {
+        const { agent } = adminSession;
+
+        assert.equal((await agent.get("/editUser/abc")).status, 400);
+        assert.equal((await agent.get("/editUser/999999")).status, 404);
+    });
+
+    it("keeps the old picture in the history when a new one is uploaded", async () => {
+        const { agent, csrfToken } = adminSession;
+        const carol = await context.knex("users").where({ username: "carol" }).first();
+
+        const res = await agent.post(`/editUser/${carol.id}`)
+            .field("_csrf", csrfToken)
+            .field("username", "carol")
+            .field("password", "")
+            .attach("profileImage", await testImage({ width: 80 }), { filename: "new.png", contentType: "image/png" });
+        assert.equal(res.status, 302);
+
+        const updated = await context.knex("users").where({ id: carol.id }).first();
+        assert.notEqual(updated.profile_image, carol.profile_image);
+
+        const queued = await context.knex("storage_deletions").pluck("key");
+        assert.ok(!queued.includes(carol.profile_image), "the old picture can still be restored");
+        assert.ok(await context.storage.head(carol.profile_image));
+
+        const history = await context.knex("profile_images").where({ user_id: carol.id }).pluck("key");
+        assert.deepEqual(history.sort(), [carol.profile_image, updated.profile_image].sort());
+    });
+});
+
+// The local driver keeps uploads on disk, where express.static must never find them however the path is written
+describe("uploaded files on local disk", () => {
+    const folder = crypto.randomUUID();
+    let context;
+
+    before(async () => {
+        const storage = createStorage(loadConfig({ NODE_ENV: "test", STORAGE_DRIVER: "local" }, { sections: ["storage"] }).storage);
+        context = await createTestContext({ storage });
+        await storage.put(`uploads/${folder}/avatar.jpg`, await testImage(), { contentType: "image/jpeg" });
+        await storage.put(`attachments/${folder}/cert.pdf`, Buffer.from("%PDF-1.4\n%%EOF\n"), { contentType: "application/pdf" });
+    });
+
+    after(async () => {
+        for (const prefix of ["uploads", "attachments"]) {
+            await fs.promises.rm(path.join(context.storage.root, prefix, folder), { recursive: true, force: true });
+        }
+        await context.close();
+    });
+
+    it("only serves the app's own pictures without a login, even with an encoded folder name", async () => {
+        const cougar = await request(context.app).get("/images/cougar.jpeg");
+        assert.equal(cougar.status, 200);
+        assert.equal(cougar.headers["content-type"], "image/jpeg");
+
+        for (const url of [
+            `/images/uploads/${folder}/avatar.jpg`,
+            `/images/%75ploads/${folder}/avatar.jpg`,
+            `/images/%61ttachments/${folder}/cert.pdf`
+        ]) {
+            const res = await request(context.app).get(url);
+            assert.match(res.headers["content-type"], /text\/html/, url);
+            assert.match(res.text, /Please log in/, url);
+        }
+    });
+
+    it("sends attachments with their type and name, which the local driver doesn't keep", async () => {
+        const owner = await createUser(context.knex, { username: "owner" });
+        const [hobby] = await context.knex("hobbies")
+            .insert({ user_id: owner.id, hobby_description: "Diving", date_learned: "2019-07-01" })
+            .returning("*");
+        const [attachment] = await context.knex("hobby_attachments")
+            .insert({ hobby_id: hobby.id, key: `attachments/${folder}/cert.pdf`, original_name: "Dive Certificate.pdf", content_type: "application/pdf", size: 15 })
+            .returning("*");
+        const { agent } = await login(context.app, "owner");
+
+        const res = await agent.get(`/attachments/${attachment.id}`);
+        assert.equal(res.status, 200);
+        assert.equal(res.headers["content-type"], "application/pdf");
+        assert.equal(res.headers["content-disposition"], `inline; filename="Dive Certificate.pdf"; filename*=UTF-8''Dive%20Certificate.pdf`);
+        assert.equal(res.headers["x-content-type-options"], "nosniff");
+    });
+});